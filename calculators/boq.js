@@ -0,0 +1,35 @@
+// calculators/boq.js - Roll calculation results up into a priced Bill of Quantities
+
+// Order and headings of the trades in a BOQ
+const TRADES = [
+  { calculator: "excavation", title: "Excavation and Earthworks" },
+  { calculator: "concrete", title: "Concrete Works" },
+  { calculator: "reinforcement", title: "Reinforcement" },
+  { calculator: "formwork", title: "Formwork" },
+  { calculator: "walling", title: "Walling" },
+  { calculator: "plaster", title: "Plaster and Render" }
+];
+
+// elements: [{ calculator, label, result }]
+function buildBoq(elements) {
+  const trades = TRADES.map((trade) => {
+    const tradeElements = elements.filter((element) => element.calculator === trade.calculator);
+
+    return {
+      ...trade,
+      elements: tradeElements,
+      materials: tradeElements.reduce((total, element) => total + element.result.materials, 0),
+      labor: tradeElements.reduce((total, element) => total + element.result.labor, 0),
+      subtotal: tradeElements.reduce((total, element) => total + element.result.subtotal, 0)
+    };
+  }).filter((trade) => trade.elements.length > 0);
+
+  return {
+    trades,
+    materials: trades.reduce((total, trade) => total + trade.materials, 0),
+    labor: trades.reduce((total, trade) => total + trade.labor, 0),
+    total: trades.reduce((total, trade) => total + trade.subtotal, 0)
+  };
+}
+
+module.exports = { TRADES, buildBoq };
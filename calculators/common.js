@@ -0,0 +1,116 @@
+// calculators/common.js - Shared quantity-takeoff math used by every calculator
+
+// Default material constants, overridden by profiles (see models/materialProfile.js)
+const DEFAULT_CONSTANTS = {
+  profile: "Standard",
+  cementDensity: 1448, // kg/m³
+  sandDensity: 1600, // kg/m³
+  ballastDensity: 2000, // kg/m³
+  concreteDryFactor: 1.54,
+  mortarDryFactor: 1.33,
+  bagKg: 50,
+  tonKg: 1000
+};
+
+// Names of the numeric constants a profile can override
+const CONSTANT_FIELDS = Object.keys(DEFAULT_CONSTANTS).filter((key) => key !== "profile");
+
+// Split a ratio string like "1:2:4" into its numeric parts
+function parseRatio(ratio) {
+  return String(ratio).split(":").map((part) => parseFloat(part));
+}
+
+// Share a dry volume between the parts of a mix ratio
+function splitByRatio(dryVolume, parts) {
+  const sum = parts.reduce((total, part) => total + part, 0);
+  return parts.map((part) => (part * dryVolume) / sum);
+}
+
+// Number of whole bags needed for a volume of material
+function toBags(volume, density, constants = DEFAULT_CONSTANTS) {
+  return Math.ceil((volume * density) / constants.bagKg);
+}
+
+// Number of whole tons needed for a volume of material
+function toTons(volume, density, constants = DEFAULT_CONSTANTS) {
+  return Math.ceil((volume * density) / constants.tonKg);
+}
+
+// Round a measured quantity (area, volume, length) for display
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Build a priced line item
+function lineItem(material, quantity, unit, rate) {
+  return {
+    material,
+    quantity,
+    unit,
+    rate,
+    amount: quantity * rate
+  };
+}
+
+// Total the line items and add labor as a percentage of materials
+function summarize(items, laborPercent) {
+  const materials = items.reduce((total, item) => total + item.amount, 0);
+  const labor = (laborPercent * materials) / 100;
+
+  return {
+    items,
+    laborPercent,
+    materials,
+    labor,
+    subtotal: materials + labor
+  };
+}
+
+// Cement and sand for a mortar or plaster volume
+function mortarItems(volume, input, constants = DEFAULT_CONSTANTS) {
+  const dryVol = volume * constants.mortarDryFactor;
+  const [cemVol, sanVol] = splitByRatio(dryVol, parseRatio(input.ratio));
+
+  return [
+    lineItem(input.cement, toBags(cemVol, constants.cementDensity, constants), "bags", input.cementPrice),
+    lineItem(input.sand, toTons(sanVol, constants.sandDensity, constants), "tons", input.sandPrice)
+  ];
+}
+
+// Cement mass (kg) in a mortar or plaster volume, for its mixing water
+function mortarCementKg(volume, ratio, constants = DEFAULT_CONSTANTS) {
+  const [cemVol] = splitByRatio(volume * constants.mortarDryFactor, parseRatio(ratio));
+  return cemVol * constants.cementDensity;
+}
+
+// Legacy one-line description of a line item, e.g. "River Sand ... 5 tons ... 1350 ... 6750"
+function describeItem(item) {
+  return `${item.material} ... ${item.quantity} ${item.unit} ... ${item.rate} ... ${item.amount}`;
+}
+
+// Legacy description lines for a whole result
+function describeResult(result) {
+  return [
+    ...result.items.map(describeItem),
+    `materials ... ${result.materials}`,
+    `labor ... ${result.labor}`,
+    `subtotal ... ${result.subtotal}`
+  ];
+}
+
+module.exports = {
+  DEFAULT_CONSTANTS,
+  CONSTANT_FIELDS,
+  parseRatio,
+  splitByRatio,
+  toBags,
+  toTons,
+  round,
+  lineItem,
+  summarize,
+  mortarItems,
+  mortarCementKg,
+  describeItem,
+  describeResult
+};
@@ -0,0 +1,209 @@
+// calculators/concrete.js - Concrete mix quantities
+const {
+  DEFAULT_CONSTANTS,
+  parseRatio,
+  splitByRatio,
+  toBags,
+  toTons,
+  round,
+  lineItem,
+  summarize
+} = require("./common");
+const { createReader } = require("./fields");
+const { readWaterFields, waterQuantities } = require("./water");
+
+// Structural elements measured from drawings; every element is a box of three dimensions (m)
+const ELEMENT_TYPES = {
+  slab: { label: "Slab", dimensions: "length x width x thickness" },
+  beam: { label: "Beam", dimensions: "length x width x depth" },
+  column: { label: "Column", dimensions: "width x breadth x height" },
+  stripFooting: { label: "Strip footing", dimensions: "length x width x thickness" },
+  padFooting: { label: "Pad footing", dimensions: "length x width x thickness" }
+};
+
+// Standard grades and the nominal cement:sand:ballast mixes used for them on site
+const CONCRETE_GRADES = {
+  C15: "1:3:6",
+  C20: "1:2:4",
+  C25: "1:1.5:3",
+  C30: "1:1:2"
+};
+
+// How the concrete is supplied; the other one is priced too for comparison when its prices are given
+const CONCRETE_SUPPLY = {
+  site: "Site-batched",
+  readyMix: "Ready-mix"
+};
+
+// Dry volumes (m³) of cement, sand and ballast in a wet concrete volume
+function mixVolumes(volume, ratio, constants) {
+  return splitByRatio(volume * constants.concreteDryFactor, parseRatio(ratio));
+}
+
+// Each element with its volume and unrounded material quantities, for the breakdown
+function measureElements(elements = [], ratio, constants) {
+  return elements.map((element) => {
+    const volume = element.length * element.width * element.depth * element.count;
+    const [cemVol, sanVol, balVol] = mixVolumes(volume, ratio, constants);
+
+    return {
+      ...element,
+      volume: round(volume, 3),
+      cement: round((cemVol * constants.cementDensity) / constants.bagKg),
+      sand: round((sanVol * constants.sandDensity) / constants.tonKg),
+      ballast: round((balVol * constants.ballastDensity) / constants.tonKg)
+    };
+  });
+}
+
+// Slab top area (m²) that needs curing water
+function slabArea(elements) {
+  return elements
+    .filter((element) => element.type === "slab")
+    .reduce((total, element) => total + element.length * element.width * element.count, 0);
+}
+
+// Cement, sand, ballast and water for mixing the volume on site
+function siteBatchedItems(volume, input, constants, curingLitres) {
+  const [cemVol, sanVol, balVol] = mixVolumes(volume, input.ratio, constants);
+  const { water, items: waterItems } = waterQuantities(cemVol * constants.cementDensity, input, "concrete", curingLitres);
+
+  return {
+    water,
+    items: [
+      lineItem(input.cement, toBags(cemVol, constants.cementDensity, constants), "bags", input.cementPrice),
+      lineItem(input.sand, toTons(sanVol, constants.sandDensity, constants), "tons", input.sandPrice),
+      lineItem(input.ballast, toTons(balVol, constants.ballastDensity, constants), "tons", input.ballastPrice),
+      ...waterItems
+    ]
+  };
+}
+
+// Delivered concrete, pump hire and the surcharge for orders under the minimum; only curing water
+// is needed on site
+function readyMixItems(volume, input, grade, curingLitres) {
+  const { water, items: waterItems } = waterQuantities(0, input, "concrete", curingLitres);
+  const items = [lineItem(`Ready-mix concrete ${grade}`, volume, "m³", input.readyMixPrice)];
+
+  if (input.pumpHire) items.push(lineItem("Pump hire", 1, "item", input.pumpHire));
+  if (input.minimumOrder && volume < input.minimumOrder) {
+    items.push(lineItem(`Minimum-order surcharge (under ${input.minimumOrder} m³)`, 1, "item", input.minimumOrderSurcharge));
+  }
+  return { water, items: [...items, ...waterItems] };
+}
+
+// input: { volume, elements: [{ type, mark, length, width, depth, count }], grade, ratio, supply,
+//          cement, cementPrice, sand, sandPrice, ballast, ballastPrice,
+//          readyMixPrice, pumpHire, minimumOrder, minimumOrderSurcharge,
+//          waterCementRatio, waterPrice, waterPriceUnit, bowserLitres,
+//          curingDays, curingLitres (per m² per day), laborPercent }
+// The site-batched or ready-mix prices are only needed for the supply that is used; when both
+// are given the result compares them.
+function calculateConcrete(input, constants = DEFAULT_CONSTANTS) {
+  const elements = measureElements(input.elements, input.ratio, constants);
+  const volume = round(elements.reduce((total, element) => total + element.volume, 0) + (input.volume || 0), 3);
+  const grade = input.grade || "Custom";
+  const supply = input.supply || "site";
+
+  const curingLitres = input.curingDays ? slabArea(elements) * input.curingDays * input.curingLitres : 0;
+  const options = {};
+  if (input.cement !== undefined) options.site = siteBatchedItems(volume, input, constants, curingLitres);
+  if (input.readyMixPrice !== undefined) options.readyMix = readyMixItems(volume, input, grade, curingLitres);
+
+  const comparison = Object.keys(options).length > 1
+    ? Object.entries(options).map(([option, { items }]) => {
+      const { materials, labor, subtotal } = summarize(items, input.laborPercent);
+      return { supply: option, materials, labor, subtotal };
+    })
+    : undefined;
+
+  return {
+    type: "concrete",
+    volume,
+    elements,
+    grade,
+    ratio: input.ratio,
+    supply,
+    water: options[supply].water,
+    comparison,
+    constants,
+    ...summarize(options[supply].items, input.laborPercent)
+  };
+}
+
+// Whether an optional form field was filled in
+function given(value) {
+  return value !== undefined && value !== null && String(value).trim() !== "";
+}
+
+// Material descriptions and prices for mixing on site
+function readSiteBatchedFields(field) {
+  return {
+    cement: field.text("cement"),
+    cementPrice: field.number("cementPrice"),
+    sand: field.text("sand"),
+    sandPrice: field.number("sandPrice"),
+    ballast: field.text("ballast"),
+    ballastPrice: field.number("ballastPrice")
+  };
+}
+
+// Ready-mix price per m³, plus optional pump hire and a surcharge for orders under a minimum volume
+function readReadyMixFields(field) {
+  const readyMix = {
+    readyMixPrice: field.number("readyMixPrice"),
+    pumpHire: field.number("pumpHire", { optional: true }),
+    minimumOrder: field.number("minimumOrder", { positive: true, optional: true })
+  };
+
+  if (readyMix.minimumOrder !== undefined) readyMix.minimumOrderSurcharge = field.number("minimumOrderSurcharge");
+  return readyMix;
+}
+
+// Element rows (elements[0][type], ...), shared with the formwork form
+function readElementRows(field) {
+  return field.rows("elements", (row) => ({
+    type: row.choice("type", Object.keys(ELEMENT_TYPES)),
+    mark: row.text("mark", { optional: true }),
+    length: row.number("length", { positive: true }),
+    width: row.number("width", { positive: true }),
+    depth: row.number("depth", { positive: true }),
+    count: row.number("count", { positive: true })
+  }));
+}
+
+// Read concrete input from submitted form or JSON fields
+function readConcreteForm(body = {}) {
+  const field = createReader(body);
+  const elements = readElementRows(field);
+  const supply = body.concreteSupply ? field.choice("concreteSupply", Object.keys(CONCRETE_SUPPLY)) : "site";
+  const input = {
+    volume: field.number("concreteVolume", { positive: true, optional: true }),
+    elements,
+    grade: body.concreteGrade && body.concreteGrade !== "custom"
+      ? field.choice("concreteGrade", Object.keys(CONCRETE_GRADES))
+      : undefined,
+    supply,
+    ...(supply === "site" || given(body.cement) ? readSiteBatchedFields(field) : {}),
+    ...(supply === "readyMix" || given(body.readyMixPrice) ? readReadyMixFields(field) : {}),
+    ...readWaterFields(field, body),
+    curingDays: field.number("curingDays", { positive: true, optional: true }),
+    laborPercent: field.number("laborPrice")
+  };
+
+  if (input.curingDays !== undefined) {
+    input.curingLitres = field.number("curingLitres", { positive: true });
+    if (slabArea(elements) === 0) field.fail("curingDays", "needs at least one slab element to cure");
+  }
+
+  // A standard grade sets the mix; otherwise the custom ratio is required
+  input.ratio = input.grade ? CONCRETE_GRADES[input.grade] : field.ratio("concreteRatio", 3);
+
+  if (input.volume === undefined && elements.length === 0) {
+    field.fail("concreteVolume", "is required unless elements are listed");
+  }
+
+  return { input, errors: field.errors };
+}
+
+module.exports = { ELEMENT_TYPES, CONCRETE_GRADES, CONCRETE_SUPPLY, calculateConcrete, readElementRows, readConcreteForm };
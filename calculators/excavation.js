@@ -0,0 +1,268 @@
+// calculators/excavation.js - Excavation volumes and costs
+const { DEFAULT_CONSTANTS, round, lineItem, summarize } = require("./common");
+const { createReader } = require("./fields");
+
+// Kinds of excavation, each measured as length x width x depth (m)
+const EXCAVATION_TYPES = {
+  trench: "Trench",
+  pit: "Pit",
+  bulk: "Bulk excavation"
+};
+
+// Soil classes and how much a m³ dug out swells once loose (bulking factor)
+const SOIL_CLASSES = {
+  soft: { label: "Soft soil", bulking: 1.25 },
+  hard: { label: "Hard soil", bulking: 1.3 },
+  murram: { label: "Murram", bulking: 1.2 },
+  rock: { label: "Rock", bulking: 1.5 }
+};
+
+// Depth bands priced separately, shallowest first; an excavation is priced in the band of its
+// full depth
+const DEPTH_BANDS = {
+  shallow: { label: "not exceeding 1.5 m deep", maxDepth: 1.5 },
+  medium: { label: "1.5 to 3 m deep", maxDepth: 3 },
+  deep: { label: "over 3 m deep", maxDepth: Infinity }
+};
+
+// Layers laid in the excavated base, each with its usual thickness (mm) and priced per m³
+const BASE_LAYERS = {
+  hardcore: { label: "Hardcore", thickness: 200 },
+  murram: { label: "Murram", thickness: 50 },
+  blinding: { label: "Concrete blinding", thickness: 50 }
+};
+
+// Lorry load (m³ loose) when the form gives none
+const DEFAULT_LORRY_CAPACITY = 10;
+
+function depthBand(depth) {
+  return Object.keys(DEPTH_BANDS).find((band) => depth <= DEPTH_BANDS[band].maxDepth);
+}
+
+// Form field holding the rate for a soil class and depth band, e.g. "rockMediumRate"
+function rateField(soil, band) {
+  return `${soil}${band[0].toUpperCase()}${band.slice(1)}Rate`;
+}
+
+// In-situ volume (m³) of one excavation from its base dimensions. Battered sides (slope m across
+// for every 1 m down) give trapezoidal sections, on the two long sides of a trench and all four
+// sides of a pit; benching splits the depth into equal tiers, each set back by the bench width.
+function excavationVolume({ type, length, width, depth, slope = 0, benches = 0, benchWidth = 0 }) {
+  const tiers = benches + 1;
+  const height = depth / tiers;
+  let volume = 0;
+
+  for (let tier = 0; tier < tiers; tier++) {
+    const setback = tier * (benchWidth + slope * height);
+    const baseWidth = width + 2 * setback;
+
+    if (type === "trench") {
+      volume += length * height * (baseWidth + slope * height);
+    } else {
+      // Prismoidal formula over the base, mid-height and top plan areas
+      const baseLength = length + 2 * setback;
+      const planArea = (offset) => (baseLength + 2 * offset) * (baseWidth + 2 * offset);
+      volume += (height / 6) * (planArea(0) + 4 * planArea((slope * height) / 2) + planArea(slope * height));
+    }
+  }
+  return volume;
+}
+
+// Area (m²) of vertical sides held up by shoring: the two long sides of a trench, all four of a pit
+function shoringArea({ type, length, width, depth }) {
+  return type === "trench" ? 2 * length * depth : 2 * (length + width) * depth;
+}
+
+// Each excavation with its depth band, in-situ volume, loose volume after bulking and shored area
+function measureExcavations(excavations = []) {
+  return excavations.map((excavation) => {
+    const volume = excavationVolume(excavation) * excavation.count;
+
+    return {
+      ...excavation,
+      band: depthBand(excavation.depth),
+      volume: round(volume, 3),
+      looseVolume: round(volume * SOIL_CLASSES[excavation.soil].bulking, 3),
+      shoringArea: excavation.shore ? round(shoringArea(excavation) * excavation.count) : 0
+    };
+  });
+}
+
+// Spoil returned around the foundations and the loose surplus carted away. Without a foundation
+// volume nothing is backfilled and all the spoil goes.
+function spoilQuantities(volume, looseVolume, input) {
+  const foundationVolume = input.foundationVolume || 0;
+  const backfillVolume = input.foundationVolume ? round(volume - foundationVolume, 3) : 0;
+  const disposalVolume = input.foundationVolume ? round((foundationVolume * looseVolume) / volume, 3) : looseVolume;
+
+  return {
+    foundationVolume,
+    backfillVolume,
+    disposalVolume,
+    lorryTrips: Math.ceil(disposalVolume / (input.lorryCapacity || DEFAULT_LORRY_CAPACITY))
+  };
+}
+
+// Volume (m³) of each base layer wanted
+function measureLayers(layers = {}) {
+  return Object.entries(layers)
+    .filter(([, layer]) => layer)
+    .map(([name, layer]) => {
+      const thickness = layer.thickness || BASE_LAYERS[name].thickness;
+      return { layer: name, area: layer.area, thickness, volume: round(layer.area * (thickness / 1000), 3), rate: layer.rate };
+    });
+}
+
+// input: { excavations: [{ type, mark, soil, length, width, depth, count,
+//                          slope, benches, benchWidth, shore }],
+//          rates: { [soil]: { [band]: rate per m³ } },
+//          volume, soil, rate (a plain in-situ volume instead of or as well as the excavations),
+//          foundationVolume, backfillRate (per m³), lorryCapacity (m³), cartAwayRate (per trip),
+//          layers: { hardcore, murram, blinding: { area, thickness (mm), rate per m³ } },
+//          shoringRate (per m²), dewateringDays, dewateringRate (per day), laborPercent }
+function calculateExcavation(input, constants = DEFAULT_CONSTANTS) {
+  const excavations = measureExcavations(input.excavations);
+  const items = [];
+
+  // One line per soil class and depth band, in the order of the tables above
+  for (const soil of Object.keys(SOIL_CLASSES)) {
+    for (const band of Object.keys(DEPTH_BANDS)) {
+      const measured = excavations.filter((excavation) => excavation.soil === soil && excavation.band === band);
+      if (measured.length === 0) continue;
+
+      const volume = round(measured.reduce((total, excavation) => total + excavation.volume, 0), 3);
+      items.push(lineItem(`Excavate ${SOIL_CLASSES[soil].label.toLowerCase()} ${DEPTH_BANDS[band].label}`, volume, "m³", input.rates[soil][band]));
+    }
+  }
+  if (input.volume) items.push(lineItem("Excavation", input.volume, "m³", input.rate));
+
+  const shoredArea = round(excavations.reduce((total, excavation) => total + excavation.shoringArea, 0));
+  if (shoredArea > 0) items.push(lineItem("Shoring and timbering to sides", shoredArea, "m²", input.shoringRate));
+  if (input.dewateringDays) items.push(lineItem("Dewatering", input.dewateringDays, "days", input.dewateringRate));
+
+  const volume = round(excavations.reduce((total, excavation) => total + excavation.volume, 0) + (input.volume || 0), 3);
+  const looseVolume = round(
+    excavations.reduce((total, excavation) => total + excavation.looseVolume, 0) +
+      (input.volume || 0) * SOIL_CLASSES[input.soil || "soft"].bulking,
+    3
+  );
+
+  const spoil = spoilQuantities(volume, looseVolume, input);
+  if (spoil.backfillVolume > 0) {
+    items.push(lineItem("Backfill with excavated material", spoil.backfillVolume, "m³", input.backfillRate));
+  }
+  if (input.cartAwayRate !== undefined && spoil.lorryTrips > 0) {
+    items.push(lineItem(`Cart away surplus spoil (${spoil.disposalVolume} m³ loose)`, spoil.lorryTrips, "trips", input.cartAwayRate));
+  }
+
+  const layers = measureLayers(input.layers);
+  for (const layer of layers) {
+    items.push(lineItem(`${BASE_LAYERS[layer.layer].label} ${layer.thickness} mm`, layer.volume, "m³", layer.rate));
+  }
+
+  return {
+    type: "excavation",
+    excavations,
+    volume,
+    looseVolume,
+    ...spoil,
+    shoringArea: shoredArea,
+    dewateringDays: input.dewateringDays || 0,
+    layers: layers.map(({ rate, ...layer }) => layer),
+    constants,
+    ...summarize(items, input.laborPercent)
+  };
+}
+
+// Battered, benched or shored sides of one excavation row; blank slope and benches mean
+// vertical sides
+function readSides(row) {
+  const sides = {
+    slope: row.number("slope", { optional: true }) || 0,
+    benches: row.number("benches", { optional: true }) || 0,
+    shore: row.flag("shore")
+  };
+
+  if (!Number.isInteger(sides.benches)) row.fail("benches", "must be a whole number");
+  if (sides.benches > 0) sides.benchWidth = row.number("benchWidth", { positive: true });
+  return sides;
+}
+
+// Read an optional base layer whose area switches it on, e.g. hardcoreArea
+function readLayer(field, body, name) {
+  if (body[`${name}Area`] === undefined || body[`${name}Area`] === "") return undefined;
+
+  return {
+    area: field.number(`${name}Area`, { positive: true }),
+    thickness: field.number(`${name}Thickness`, { positive: true, optional: true }),
+    rate: field.number(`${name}Rate`)
+  };
+}
+
+// Read excavation input from submitted form or JSON fields; rates are only needed for the soil
+// classes and depth bands that are dug
+function readExcavationForm(body = {}) {
+  const field = createReader(body);
+  const excavations = field.rows("excavations", (row) => ({
+    type: row.choice("type", Object.keys(EXCAVATION_TYPES)),
+    mark: row.text("mark", { optional: true }),
+    soil: row.choice("soil", Object.keys(SOIL_CLASSES)),
+    length: row.number("length", { positive: true }),
+    width: row.number("width", { positive: true }),
+    depth: row.number("depth", { positive: true }),
+    count: row.number("count", { positive: true }),
+    ...readSides(row)
+  }));
+
+  const rates = {};
+  for (const excavation of excavations) {
+    const band = depthBand(excavation.depth);
+    if (!SOIL_CLASSES[excavation.soil] || !band) continue;
+
+    rates[excavation.soil] = rates[excavation.soil] || {};
+    if (rates[excavation.soil][band] === undefined) {
+      rates[excavation.soil][band] = field.number(rateField(excavation.soil, band));
+    }
+  }
+
+  const input = {
+    excavations,
+    rates,
+    volume: field.number("excavationVolume", { positive: true, optional: true }),
+    foundationVolume: field.number("foundationVolume", { positive: true, optional: true }),
+    lorryCapacity: field.number("lorryCapacity", { positive: true, optional: true }),
+    cartAwayRate: field.number("cartAwayRate", { optional: true }),
+    layers: Object.fromEntries(Object.keys(BASE_LAYERS).map((layer) => [layer, readLayer(field, body, layer)])),
+    dewateringDays: field.number("dewateringDays", { positive: true, optional: true }),
+    laborPercent: field.number("laborPrice")
+  };
+
+  if (excavations.some((excavation) => excavation.shore)) input.shoringRate = field.number("shoringRate");
+  if (input.dewateringDays !== undefined) input.dewateringRate = field.number("dewateringRate");
+
+  if (input.foundationVolume !== undefined) input.backfillRate = field.number("backfillRate");
+
+  if (input.volume !== undefined) {
+    input.rate = field.number("excavationRate");
+    input.soil = body.soilClass ? field.choice("soilClass", Object.keys(SOIL_CLASSES)) : "soft";
+  } else if (excavations.length === 0) {
+    field.fail("excavationVolume", "is required unless excavations are listed");
+  }
+
+  if (field.errors.length === 0 && input.foundationVolume !== undefined) {
+    const volume = measureExcavations(excavations).reduce((total, excavation) => total + excavation.volume, 0) + (input.volume || 0);
+    if (input.foundationVolume >= volume) field.fail("foundationVolume", "must be less than the excavated volume");
+  }
+
+  return { input, errors: field.errors };
+}
+
+module.exports = {
+  EXCAVATION_TYPES,
+  SOIL_CLASSES,
+  DEPTH_BANDS,
+  BASE_LAYERS,
+  rateField,
+  calculateExcavation,
+  readExcavationForm
+};
@@ -0,0 +1,104 @@
+// calculators/fields.js - Reading and validating submitted calculator fields
+
+// Collects parsed values and the fields that failed validation
+function createReader(body = {}) {
+  const errors = [];
+
+  function fail(field, message) {
+    errors.push({ field, message });
+  }
+
+  // Number, strictly positive if asked; blank optional fields read as undefined
+  function number(field, { positive = false, optional = false } = {}) {
+    const raw = body[field];
+    const blank = raw === undefined || raw === null || raw === "";
+
+    if (blank && optional) return undefined;
+
+    const value = blank ? NaN : Number(raw);
+
+    if (!Number.isFinite(value)) {
+      fail(field, "must be a number");
+    } else if (positive && value <= 0) {
+      fail(field, "must be greater than 0");
+    } else if (value < 0) {
+      fail(field, "must not be negative");
+    }
+    return value;
+  }
+
+  // Non-empty text, required unless optional (blank optional fields read as undefined)
+  function text(field, { optional = false } = {}) {
+    const value = typeof body[field] === "string" ? body[field].trim() : "";
+
+    if (!value && optional) return undefined;
+    if (!value) fail(field, "is required");
+    return value;
+  }
+
+  // Ratio like "1:3" or "1:2:4" with the given number of positive parts
+  function ratio(field, parts) {
+    const value = typeof body[field] === "string" ? body[field].trim() : "";
+    const numbers = value.split(":").map((part) => (part.trim() === "" ? NaN : Number(part)));
+
+    if (numbers.length !== parts || numbers.some((part) => !Number.isFinite(part) || part <= 0)) {
+      fail(field, `must be a ratio with ${parts} positive parts, e.g. ${parts === 3 ? "1:2:4" : "1:3"}`);
+    }
+    return value;
+  }
+
+  // Block size like "360x180x180" in mm; blank optional fields read as undefined
+  function blockSize(field, { optional = false } = {}) {
+    const value = typeof body[field] === "string" ? body[field].trim() : "";
+    if (!value && optional) return undefined;
+
+    const dims = value.toLowerCase().split("x").map(Number);
+
+    if (dims.length !== 3 || dims.some((dim) => !Number.isFinite(dim) || dim <= 0)) {
+      fail(field, "must be length x thickness x height in mm, e.g. 360x180x180");
+    }
+    return value;
+  }
+
+  // One of a fixed list of values
+  function choice(field, options) {
+    const raw = body[field];
+    const value = typeof raw === "string" || typeof raw === "number" ? String(raw).trim() : "";
+
+    if (!options.includes(value)) fail(field, `must be one of ${options.join(", ")}`);
+    return value;
+  }
+
+  // Yes/no field from a checkbox, a select or JSON; blank reads as no
+  function flag(field) {
+    const raw = body[field];
+    const value = typeof raw === "string" ? raw.trim().toLowerCase() : raw;
+
+    if (["on", "yes", "true", true].includes(value)) return true;
+    if (!["", "no", "false", "off", false, undefined, null].includes(value)) fail(field, "must be yes or no");
+    return false;
+  }
+
+  // Repeatable rows such as openings[0][width]: each non-blank row is read with its own
+  // reader and its errors are reported as e.g. "openings[0].width"
+  function rows(field, readRow) {
+    const raw = body[field];
+    const list = Array.isArray(raw) ? raw : raw && typeof raw === "object" ? Object.values(raw) : [];
+    const values = [];
+
+    list.forEach((row, index) => {
+      const blank = !row || typeof row !== "object" ||
+        Object.values(row).every((value) => value === undefined || value === null || String(value).trim() === "");
+      if (blank) return;
+
+      const reader = createReader(row);
+      values.push(readRow(reader));
+      for (const error of reader.errors) fail(`${field}[${index}].${error.field}`, error.message);
+    });
+    return values;
+  }
+
+  return { errors, fail, number, text, ratio, blockSize, choice, flag, rows };
+}
+
+module.exports = { createReader };
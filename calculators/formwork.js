@@ -0,0 +1,91 @@
+// calculators/formwork.js - Formwork contact areas, materials and labor for concrete elements
+const { DEFAULT_CONSTANTS, round, lineItem, summarize } = require("./common");
+const { createReader } = require("./fields");
+const { readElementRows } = require("./concrete");
+
+// Formwork allowances; the timber and prop allowances can be overridden from the form
+const FORMWORK_DEFAULTS = {
+  sheetArea: 1.22 * 2.44, // m² of one plywood sheet
+  sheetWaste: 0.1, // cutting waste on plywood
+  timberPerSquareMetre: 3, // running m of bearers, joists and studs
+  propArea: 1, // m² of soffit carried by one prop
+  nailsPerSquareMetre: 0.15 // kg
+};
+
+// Faces of an element that are shuttered (m²), and the soffit part of them that needs props.
+// Dimensions follow the concrete elements: length, width, depth (see ELEMENT_TYPES)
+function contactAreas(element) {
+  const { type, length, width, depth } = element;
+
+  if (type === "slab") return { contact: length * width + 2 * (length + width) * depth, propped: length * width };
+  if (type === "beam") return { contact: length * (width + 2 * depth), propped: length * width };
+  // Columns and footings are shuttered on their sides only
+  return { contact: 2 * (length + width) * depth, propped: 0 };
+}
+
+// input: { elements: [{ type, mark, length, width, depth, count }], reuses,
+//          plywood, plywoodPrice (per sheet), timber, timberPrice (per m), timberPerSquareMetre,
+//          propPrice, propArea, nailPrice (per kg), fixingRate (per m²), laborPercent }
+function calculateFormwork(input, constants = DEFAULT_CONSTANTS) {
+  const elements = input.elements.map((element) => {
+    const { contact, propped } = contactAreas(element);
+    return { ...element, contactArea: round(contact * element.count), proppedArea: round(propped * element.count) };
+  });
+
+  const contactArea = round(elements.reduce((total, element) => total + element.contactArea, 0));
+  const proppedArea = round(elements.reduce((total, element) => total + element.proppedArea, 0));
+
+  // Plywood, timber and props are shared between pours; nails and labor are needed every time
+  const reuses = input.reuses || 1;
+  const sheets = Math.ceil((contactArea * (1 + FORMWORK_DEFAULTS.sheetWaste)) / FORMWORK_DEFAULTS.sheetArea / reuses);
+  const timber = Math.ceil((contactArea * (input.timberPerSquareMetre || FORMWORK_DEFAULTS.timberPerSquareMetre)) / reuses);
+  const props = Math.ceil(proppedArea / (input.propArea || FORMWORK_DEFAULTS.propArea) / reuses);
+  const nails = Math.ceil(contactArea * FORMWORK_DEFAULTS.nailsPerSquareMetre);
+
+  const items = [
+    lineItem(input.plywood, sheets, "sheets", input.plywoodPrice),
+    lineItem(input.timber, timber, "m", input.timberPrice),
+    ...(props > 0 ? [lineItem("Props", props, "pcs", input.propPrice)] : []),
+    lineItem("Nails", nails, "kg", input.nailPrice),
+    lineItem("Fix and strip formwork", contactArea, "m²", input.fixingRate)
+  ];
+
+  return {
+    type: "formwork",
+    elements,
+    contactArea,
+    proppedArea,
+    reuses,
+    constants,
+    ...summarize(items, input.laborPercent)
+  };
+}
+
+// Read formwork input from submitted form or JSON fields; the element rows match the concrete form
+function readFormworkForm(body = {}) {
+  const field = createReader(body);
+  const elements = readElementRows(field);
+
+  if (elements.length === 0) field.fail("elements", "must list at least one element");
+
+  // Slabs and beams stand on props, so they need a prop price
+  const propped = elements.some((element) => element.type === "slab" || element.type === "beam");
+  const input = {
+    elements,
+    reuses: field.number("reuses", { positive: true, optional: true }),
+    plywood: field.text("plywood"),
+    plywoodPrice: field.number("plywoodPrice"),
+    timber: field.text("timber"),
+    timberPrice: field.number("timberPrice"),
+    timberPerSquareMetre: field.number("timberPerSquareMetre", { positive: true, optional: true }),
+    propPrice: field.number("propPrice", { optional: !propped }) || 0,
+    propArea: field.number("propArea", { positive: true, optional: true }),
+    nailPrice: field.number("nailPrice"),
+    fixingRate: field.number("fixingRate"),
+    laborPercent: field.number("laborPrice", { optional: true }) || 0
+  };
+
+  return { input, errors: field.errors };
+}
+
+module.exports = { FORMWORK_DEFAULTS, calculateFormwork, readFormworkForm };
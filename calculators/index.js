@@ -0,0 +1,76 @@
+// calculators/index.js - Quantity-takeoff engine shared by the routes, scripts and API
+const common = require("./common");
+const { createReader } = require("./fields");
+const { TRADES, buildBoq } = require("./boq");
+const { ELEMENT_TYPES, CONCRETE_GRADES, CONCRETE_SUPPLY, calculateConcrete, readConcreteForm } = require("./concrete");
+const { OPENING_TYPES, BOND_PATTERNS, calculateWalling, readWallingForm } = require("./walling");
+const { MASONRY_UNITS } = require("./masonryUnits");
+const { PLASTER_TYPES, calculatePlaster, readPlasterForm } = require("./plaster");
+const {
+  EXCAVATION_TYPES,
+  SOIL_CLASSES,
+  DEPTH_BANDS,
+  BASE_LAYERS,
+  rateField,
+  calculateExcavation,
+  readExcavationForm
+} = require("./excavation");
+const {
+  BAR_DIAMETERS,
+  SHAPE_CODES,
+  STEEL_PRICE_BASES,
+  DEFAULT_LAP_DIAMETERS,
+  calculateReinforcement,
+  readReinforcementForm
+} = require("./reinforcement");
+const { FORMWORK_DEFAULTS, calculateFormwork, readFormworkForm } = require("./formwork");
+const { WATER_CEMENT_RATIOS, WATER_PRICE_UNITS } = require("./water");
+
+// Calculator registry: form reader and calculation for each calculator type
+const calculators = {
+  concrete: { read: readConcreteForm, calculate: calculateConcrete },
+  reinforcement: { read: readReinforcementForm, calculate: calculateReinforcement },
+  formwork: { read: readFormworkForm, calculate: calculateFormwork },
+  walling: { read: readWallingForm, calculate: calculateWalling },
+  plaster: { read: readPlasterForm, calculate: calculatePlaster },
+  excavation: { read: readExcavationForm, calculate: calculateExcavation }
+};
+
+module.exports = {
+  ...common,
+  calculators,
+  createReader,
+  TRADES,
+  buildBoq,
+  ELEMENT_TYPES,
+  CONCRETE_GRADES,
+  CONCRETE_SUPPLY,
+  calculateConcrete,
+  readConcreteForm,
+  OPENING_TYPES,
+  BOND_PATTERNS,
+  MASONRY_UNITS,
+  calculateWalling,
+  readWallingForm,
+  PLASTER_TYPES,
+  calculatePlaster,
+  readPlasterForm,
+  EXCAVATION_TYPES,
+  SOIL_CLASSES,
+  DEPTH_BANDS,
+  BASE_LAYERS,
+  rateField,
+  calculateExcavation,
+  readExcavationForm,
+  BAR_DIAMETERS,
+  SHAPE_CODES,
+  STEEL_PRICE_BASES,
+  DEFAULT_LAP_DIAMETERS,
+  calculateReinforcement,
+  readReinforcementForm,
+  FORMWORK_DEFAULTS,
+  calculateFormwork,
+  readFormworkForm,
+  WATER_CEMENT_RATIOS,
+  WATER_PRICE_UNITS
+};
@@ -0,0 +1,59 @@
+// calculators/masonryUnits.js - Catalogue of walling units and how each one is laid
+//
+// size: default size in mm (length x thickness x height) when the form gives none
+// item: line-item name after the size, e.g. "215x102.5x65 bricks"
+// joint: default mortar joint in mm
+// mortar: false for dry-stacked units that interlock instead of using mortar joints
+// voidRatio: share of the unit's envelope that is hollow core, available for core fill
+const MASONRY_UNITS = {
+  stone: {
+    label: "Natural stone block",
+    size: "360x180x180",
+    item: "blocks",
+    joint: 20,
+    mortar: true,
+    voidRatio: 0
+  },
+  machineCutStone: {
+    label: "Machine-cut stone",
+    size: "400x200x200",
+    item: "machine-cut stones",
+    joint: 10,
+    mortar: true,
+    voidRatio: 0
+  },
+  clayBrick: {
+    label: "Clay brick",
+    size: "215x102.5x65",
+    item: "clay bricks",
+    joint: 10,
+    mortar: true,
+    voidRatio: 0
+  },
+  solidBlock: {
+    label: "Solid concrete block",
+    size: "390x190x190",
+    item: "solid concrete blocks",
+    joint: 10,
+    mortar: true,
+    voidRatio: 0
+  },
+  hollowBlock: {
+    label: "Hollow concrete block",
+    size: "390x190x190",
+    item: "hollow concrete blocks",
+    joint: 10,
+    mortar: true,
+    voidRatio: 0.45
+  },
+  interlocking: {
+    label: "Interlocking stabilised soil block (ISSB)",
+    size: "300x150x100",
+    item: "interlocking soil blocks",
+    joint: 0,
+    mortar: false,
+    voidRatio: 0.1
+  }
+};
+
+module.exports = { MASONRY_UNITS };
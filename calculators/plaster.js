@@ -0,0 +1,186 @@
+// calculators/plaster.js - Plaster and render quantities
+const {
+  DEFAULT_CONSTANTS,
+  parseRatio,
+  splitByRatio,
+  toBags,
+  toTons,
+  round,
+  lineItem,
+  summarize
+} = require("./common");
+const { createReader } = require("./fields");
+const { readWaterFields, waterQuantities } = require("./water");
+const { OPENING_TYPES } = require("./walling");
+
+// Plaster types and the coats applied when the form lists none (thickness in mm)
+const PLASTER_TYPES = {
+  internal: {
+    label: "Internal plaster",
+    coats: [{ coat: "Single coat", thickness: 12, ratio: "1:4" }]
+  },
+  external: {
+    label: "External render",
+    coats: [
+      { coat: "Scratch coat", thickness: 12, ratio: "1:3" },
+      { coat: "Finish coat", thickness: 6, ratio: "1:4" }
+    ]
+  }
+};
+
+// Wall and ceiling areas (m²) of each room in a room schedule
+function measureRooms(rooms = []) {
+  return rooms.map((room) => ({
+    ...room,
+    wallArea: round(room.perimeter * room.height),
+    ceilingArea: room.ceiling ? round(room.ceilingArea) : 0
+  }));
+}
+
+// Each opening's area to deduct, and the reveals (both sides) and soffit (head) returned into
+// the opening to its frame, which are plastered instead
+function measureOpenings(openings = []) {
+  return openings.map((opening) => {
+    const depth = opening.revealDepth || 0;
+    return {
+      ...opening,
+      area: round(opening.width * opening.height * opening.count),
+      reveals: round(2 * opening.height * depth * opening.count),
+      soffits: round(opening.width * depth * opening.count)
+    };
+  });
+}
+
+// Each coat with its volume and unrounded cement, sand and cement mass, for the breakdown
+function measureCoats(coats, area, constants) {
+  return coats.map((coat) => {
+    const volume = area * (coat.thickness / 1000);
+    const [cemVol, sanVol] = splitByRatio(volume * constants.mortarDryFactor, parseRatio(coat.ratio));
+
+    return {
+      ...coat,
+      volume: round(volume, 3),
+      cementVolume: cemVol,
+      sandVolume: sanVol,
+      cement: round((cemVol * constants.cementDensity) / constants.bagKg),
+      sand: round((sanVol * constants.sandDensity) / constants.tonKg)
+    };
+  });
+}
+
+// input: { area (one face), bothFaces, rooms: [{ name, perimeter, height, ceiling, ceilingArea }],
+//          openings: [{ type, width, height, count, revealDepth (m) }],
+//          plasterType, coats: [{ coat, thickness (mm), ratio }],
+//          cement, cementPrice, sand, sandPrice,
+//          waterCementRatio, waterPrice, waterPriceUnit, bowserLitres, laborPercent }
+function calculatePlaster(input, constants = DEFAULT_CONSTANTS) {
+  const plasterType = input.plasterType || "internal";
+  const faces = input.bothFaces ? 2 : 1;
+  const rooms = measureRooms(input.rooms);
+  const openings = measureOpenings(input.openings);
+
+  const wallArea = round((input.area || 0) * faces + rooms.reduce((total, room) => total + room.wallArea, 0));
+  const ceilingArea = round(rooms.reduce((total, room) => total + room.ceilingArea, 0));
+  const deductions = round(openings.reduce((total, opening) => total + opening.area, 0));
+  const returns = round(openings.reduce((total, opening) => total + opening.reveals + opening.soffits, 0));
+  const plasteredArea = round(wallArea + ceilingArea - deductions + returns);
+
+  const measured = measureCoats(input.coats || PLASTER_TYPES[plasterType].coats, plasteredArea, constants);
+  const cemVol = measured.reduce((total, coat) => total + coat.cementVolume, 0);
+  const sanVol = measured.reduce((total, coat) => total + coat.sandVolume, 0);
+  const coats = measured.map(({ cementVolume, sandVolume, ...coat }) => coat);
+
+  const { water, items: waterItems } = waterQuantities(cemVol * constants.cementDensity, input, "mortar");
+
+  const items = [
+    lineItem(input.cement, toBags(cemVol, constants.cementDensity, constants), "bags", input.cementPrice),
+    lineItem(input.sand, toTons(sanVol, constants.sandDensity, constants), "tons", input.sandPrice),
+    ...waterItems
+  ];
+
+  return {
+    type: "plaster",
+    plasterType,
+    area: input.area,
+    faces,
+    rooms,
+    openings,
+    wallArea,
+    ceilingArea,
+    deductions,
+    returns,
+    plasteredArea,
+    coats,
+    thickness: coats.reduce((total, coat) => total + coat.thickness, 0),
+    water,
+    constants,
+    ...summarize(items, input.laborPercent)
+  };
+}
+
+// Read plaster input from submitted form or JSON fields. Coats are listed as coats[0][thickness];
+// with none listed, an older single plasterThickness/plasterRatio is one coat, otherwise the
+// plaster type's usual coats apply
+function readPlasterForm(body = {}) {
+  const field = createReader(body);
+  const plasterType = body.plasterType ? field.choice("plasterType", Object.keys(PLASTER_TYPES)) : "internal";
+  let coats = field.rows("coats", (row) => ({
+    coat: row.text("coat"),
+    thickness: row.number("thickness", { positive: true }),
+    ratio: row.ratio("ratio", 2)
+  }));
+
+  if (coats.length === 0 && body.plasterThickness !== undefined && body.plasterThickness !== "") {
+    coats = [{
+      coat: "Single coat",
+      thickness: field.number("plasterThickness", { positive: true }),
+      ratio: field.ratio("plasterRatio", 2)
+    }];
+  }
+
+  const rooms = field.rows("rooms", (row) => {
+    const room = {
+      name: row.text("name", { optional: true }),
+      perimeter: row.number("perimeter", { positive: true }),
+      height: row.number("height", { positive: true }),
+      ceiling: row.flag("ceiling")
+    };
+    if (room.ceiling) room.ceilingArea = row.number("ceilingArea", { positive: true });
+    return room;
+  });
+  const input = {
+    area: field.number("plasterArea", { positive: true, optional: true }),
+    bothFaces: ["on", "yes", "true", true].includes(body.bothFaces),
+    rooms,
+    openings: field.rows("openings", (row) => ({
+      type: row.choice("type", Object.keys(OPENING_TYPES)),
+      width: row.number("width", { positive: true }),
+      height: row.number("height", { positive: true }),
+      count: row.number("count", { positive: true }),
+      revealDepth: row.number("revealDepth", { positive: true, optional: true })
+    })),
+    plasterType,
+    coats: coats.length > 0 ? coats : undefined,
+    cement: field.text("cement"),
+    cementPrice: field.number("cementPrice"),
+    sand: field.text("sand"),
+    sandPrice: field.number("sandPrice"),
+    ...readWaterFields(field, body),
+    laborPercent: field.number("laborPrice")
+  };
+
+  if (input.area === undefined && rooms.length === 0) {
+    field.fail("plasterArea", "is required unless rooms are listed");
+  }
+
+  if (field.errors.length === 0) {
+    const walls = (input.area || 0) * (input.bothFaces ? 2 : 1) +
+      measureRooms(rooms).reduce((total, room) => total + room.wallArea, 0);
+    const deductions = measureOpenings(input.openings).reduce((total, opening) => total + opening.area, 0);
+    if (deductions >= walls) field.fail("openings", "must add up to less than the wall area");
+  }
+
+  return { input, errors: field.errors };
+}
+
+module.exports = { PLASTER_TYPES, calculatePlaster, readPlasterForm };
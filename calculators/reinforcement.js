@@ -0,0 +1,160 @@
+// calculators/reinforcement.js - Bar bending schedule: steel lengths, weights and stock bars
+const { DEFAULT_CONSTANTS, round, lineItem, summarize } = require("./common");
+const { createReader } = require("./fields");
+
+// High-yield bar diameters (mm) and their standard unit weights (kg/m)
+const BAR_DIAMETERS = {
+  8: 0.395,
+  10: 0.617,
+  12: 0.888,
+  16: 1.579,
+  20: 2.466,
+  25: 3.854,
+  32: 6.313
+};
+
+// Common BS 8666 shape codes; the cut length is measured from the drawing.
+// "00" is listed last by object key order, so sort the codes before showing them
+const SHAPE_CODES = {
+  "00": "Straight",
+  "11": "L-bar",
+  "12": "L-bar with radius",
+  "21": "U-bar",
+  "26": "Cranked bar",
+  "41": "Z-bar",
+  "51": "Closed link",
+  "63": "Link with hooks",
+  "99": "Other"
+};
+
+// Stock bar length (m)
+const BAR_LENGTH = 12;
+
+// Binding wire (kg per tonne of steel) when none is given
+const DEFAULT_BINDING_WIRE = 10;
+
+// Steel is priced per stock bar or per kg
+const STEEL_PRICE_BASES = {
+  bar: "per 12 m bar",
+  kg: "per kg"
+};
+
+// Lap length between joined bars, in bar diameters, when none is given
+const DEFAULT_LAP_DIAMETERS = 40;
+
+// Lap (m) at each joint of a bar mark
+function lapLength(diameter, lapDiameters = DEFAULT_LAP_DIAMETERS) {
+  return (lapDiameters * diameter) / 1000;
+}
+
+// Joints in one piece longer than a stock bar: each further bar adds its length less one lap
+function lapJoints(cutLength, lap) {
+  return cutLength > BAR_LENGTH ? Math.ceil((cutLength - BAR_LENGTH) / (BAR_LENGTH - lap)) : 0;
+}
+
+// Stock bars needed for one bar mark: whole pieces cut from each 12 m bar, or lapped
+// lengths (cut length plus a lap at every joint) for pieces longer than a bar
+function stockBars(mark) {
+  if (mark.cutLength > BAR_LENGTH) return Math.ceil(mark.length / BAR_LENGTH);
+  return Math.ceil(mark.count / Math.floor(BAR_LENGTH / mark.cutLength));
+}
+
+// input: { marks: [{ mark, diameter, shape, cutLength, count }], priceBasis, lapDiameters,
+//          prices: { [diameter]: price }, bindingWire (kg/t), bindingWirePrice, laborPercent }
+function calculateReinforcement(input, constants = DEFAULT_CONSTANTS) {
+  const lapDiameters = input.lapDiameters || DEFAULT_LAP_DIAMETERS;
+  const marks = input.marks.map((mark) => {
+    const lap = lapLength(mark.diameter, lapDiameters);
+    const laps = round(lapJoints(mark.cutLength, lap) * lap * mark.count);
+    const length = mark.cutLength * mark.count + laps;
+    return { ...mark, laps, length: round(length), weight: round(length * BAR_DIAMETERS[mark.diameter]) };
+  });
+
+  // Totals per diameter, smallest first
+  const diameters = Object.keys(BAR_DIAMETERS)
+    .map(Number)
+    .filter((diameter) => marks.some((mark) => mark.diameter === diameter))
+    .map((diameter) => {
+      const ofSize = marks.filter((mark) => mark.diameter === diameter);
+      const bars = ofSize.reduce((total, mark) => total + stockBars(mark), 0);
+
+      return {
+        diameter,
+        length: round(ofSize.reduce((total, mark) => total + mark.length, 0)),
+        weight: round(ofSize.reduce((total, mark) => total + mark.weight, 0)),
+        bars,
+        orderedWeight: round(bars * BAR_LENGTH * BAR_DIAMETERS[diameter])
+      };
+    });
+
+  const totalWeight = round(diameters.reduce((total, size) => total + size.weight, 0));
+  const bindingWire = Math.ceil((totalWeight / 1000) * (input.bindingWire || DEFAULT_BINDING_WIRE));
+
+  const items = [
+    ...diameters.map((size) => (input.priceBasis === "kg"
+      ? lineItem(`Y${size.diameter} bars`, size.orderedWeight, "kg", input.prices[size.diameter])
+      : lineItem(`Y${size.diameter} bars (${BAR_LENGTH} m)`, size.bars, "pcs", input.prices[size.diameter]))),
+    lineItem("Binding wire", bindingWire, "kg", input.bindingWirePrice)
+  ];
+
+  return {
+    type: "reinforcement",
+    marks,
+    diameters,
+    totalWeight,
+    bindingWire,
+    lapDiameters,
+    priceBasis: input.priceBasis,
+    constants,
+    ...summarize(items, input.laborPercent)
+  };
+}
+
+// Read the bar schedule from submitted form or JSON fields; prices come as priceY8, priceY10, ...
+function readReinforcementForm(body = {}) {
+  const field = createReader(body);
+  const marks = field.rows("marks", (row) => ({
+    mark: row.text("mark", { optional: true }),
+    diameter: Number(row.choice("diameter", Object.keys(BAR_DIAMETERS))),
+    shape: row.choice("shape", Object.keys(SHAPE_CODES)),
+    cutLength: row.number("cutLength", { positive: true }),
+    count: row.number("count", { positive: true })
+  }));
+
+  if (marks.length === 0) field.fail("marks", "must list at least one bar mark");
+
+  const prices = {};
+  for (const diameter of new Set(marks.map((mark) => mark.diameter))) {
+    if (BAR_DIAMETERS[diameter]) prices[diameter] = field.number(`priceY${diameter}`);
+  }
+
+  // Pieces longer than a stock bar are lapped, and a lap must be shorter than the bar
+  const lapDiameters = field.number("lapDiameters", { positive: true, optional: true });
+  for (const mark of marks) {
+    if (mark.cutLength > BAR_LENGTH && BAR_DIAMETERS[mark.diameter] && lapLength(mark.diameter, lapDiameters) >= BAR_LENGTH) {
+      field.fail("lapDiameters", `must give Y${mark.diameter} laps shorter than a ${BAR_LENGTH} m bar`);
+      break;
+    }
+  }
+
+  const input = {
+    marks,
+    lapDiameters,
+    priceBasis: body.priceBasis ? field.choice("priceBasis", Object.keys(STEEL_PRICE_BASES)) : "bar",
+    prices,
+    bindingWire: field.number("bindingWire", { positive: true, optional: true }),
+    bindingWirePrice: field.number("bindingWirePrice"),
+    laborPercent: field.number("laborPrice")
+  };
+
+  return { input, errors: field.errors };
+}
+
+module.exports = {
+  BAR_DIAMETERS,
+  SHAPE_CODES,
+  STEEL_PRICE_BASES,
+  DEFAULT_LAP_DIAMETERS,
+  calculateReinforcement,
+  readReinforcementForm
+};
@@ -0,0 +1,68 @@
+// calculators/wallAccessories.js - Hoop iron, brick-force wire and DPC for walling
+const { round, lineItem } = require("./common");
+
+// Reinforcement laid along the wall every few courses, sold in rolls
+const COURSE_REINFORCEMENT = {
+  hoopIron: { label: "Hoop iron" },
+  brickForce: { label: "Brick-force wire" }
+};
+
+// Read an optional accessory whose first field switches it on, e.g. hoopIronEvery
+function readCourseReinforcement(field, body, name) {
+  if (body[`${name}Every`] === undefined || body[`${name}Every`] === "") return undefined;
+
+  return {
+    every: field.number(`${name}Every`, { positive: true }),
+    strands: field.number(`${name}Strands`, { positive: true, optional: true }) || 1,
+    rollLength: field.number(`${name}RollLength`, { positive: true }),
+    price: field.number(`${name}Price`)
+  };
+}
+
+function readDpc(field, body) {
+  if (body.dpcRollLength === undefined || body.dpcRollLength === "") return undefined;
+
+  return {
+    rollLength: field.number("dpcRollLength", { positive: true }),
+    price: field.number("dpcPrice")
+  };
+}
+
+// Accessory input fields: { hoopIron, brickForce, dpc }, each undefined when not wanted
+function readAccessories(field, body) {
+  return {
+    hoopIron: readCourseReinforcement(field, body, "hoopIron"),
+    brickForce: readCourseReinforcement(field, body, "brickForce"),
+    dpc: readDpc(field, body)
+  };
+}
+
+function hasAccessories(input) {
+  return Boolean(input.hoopIron || input.brickForce || input.dpc);
+}
+
+// Running length (m) of each accessory over the wall runs, and its priced roll count.
+// runs: [{ baseLength, courses }]
+function accessoryItems(runs, input) {
+  const lengths = [];
+
+  for (const [name, reinforcement] of Object.entries(COURSE_REINFORCEMENT)) {
+    const spec = input[name];
+    if (!spec) continue;
+
+    const length = runs.reduce((total, run) => total + Math.floor(run.courses / spec.every) * run.baseLength * spec.strands, 0);
+    lengths.push({ material: reinforcement.label, length: round(length), rollLength: spec.rollLength, price: spec.price });
+  }
+
+  if (input.dpc) {
+    const length = runs.reduce((total, run) => total + run.baseLength, 0);
+    lengths.push({ material: "DPC", length: round(length), rollLength: input.dpc.rollLength, price: input.dpc.price });
+  }
+
+  return {
+    accessories: lengths.map(({ material, length }) => ({ material, length })),
+    items: lengths.map((entry) => lineItem(entry.material, Math.ceil(entry.length / entry.rollLength), "rolls", entry.price))
+  };
+}
+
+module.exports = { COURSE_REINFORCEMENT, readAccessories, hasAccessories, accessoryItems };
@@ -0,0 +1,284 @@
+// calculators/walling.js - Block walling and mortar quantities
+const { DEFAULT_CONSTANTS, round, lineItem, summarize, mortarItems, mortarCementKg } = require("./common");
+const { createReader } = require("./fields");
+const { MASONRY_UNITS } = require("./masonryUnits");
+const { readAccessories, hasAccessories, accessoryItems } = require("./wallAccessories");
+const { readWaterFields, waterQuantities } = require("./water");
+
+// Bond patterns: units per m² of wall face and the wall thickness the bond builds, for a
+// block in metres and a joint in metres. Stretcher bond is one block thick; the others are
+// one block length thick (English alternates stretcher and header courses, Flemish
+// alternates stretchers and headers within each course).
+const BOND_PATTERNS = {
+  stretcher: {
+    label: "Stretcher",
+    perSquareMetre: (block, joint) => 1 / ((block.length + joint) * (block.height + joint)),
+    thickness: (block) => block.thickness
+  },
+  english: {
+    label: "English",
+    perSquareMetre: (block, joint) => (2 / (block.length + joint) + 1 / (block.thickness + joint)) / 2 / (block.height + joint),
+    thickness: (block) => block.length
+  },
+  flemish: {
+    label: "Flemish",
+    perSquareMetre: (block, joint) => 3 / (block.length + block.thickness + 2 * joint) / (block.height + joint),
+    thickness: (block) => block.length
+  },
+  header: {
+    label: "Header",
+    perSquareMetre: (block, joint) => 1 / ((block.thickness + joint) * (block.height + joint)),
+    thickness: (block) => block.length
+  }
+};
+
+// Openings deducted from the wall area
+const OPENING_TYPES = {
+  door: "Door",
+  window: "Window",
+  vent: "Vent"
+};
+
+// Parse a block size like "360x180x180" (mm) into metres
+function parseBlockSize(blockSize) {
+  const [length, thickness, height] = String(blockSize)
+    .toLowerCase()
+    .split("x")
+    .map((dim) => parseFloat(dim) / 1000);
+
+  return { length, thickness, height };
+}
+
+// Each opening with its total area (width x height x count)
+function measureOpenings(openings = []) {
+  return openings.map((opening) => ({
+    ...opening,
+    area: round(opening.width * opening.height * opening.count)
+  }));
+}
+
+// Wall runs to build: each measured run (length x height x count) in order, then the
+// plain wallArea shortcut if given. Runs without their own size use the form's size,
+// or the unit's catalogue size.
+function wallRuns(input) {
+  const blockSize = input.blockSize || MASONRY_UNITS[input.unitType || "stone"].size;
+  const runs = (input.runs || []).map((run, index) => ({
+    label: `Run ${index + 1}`,
+    ...run,
+    blockSize: run.blockSize || blockSize,
+    blockPrice: run.blockPrice === undefined ? input.blockPrice : run.blockPrice,
+    area: round(run.length * run.height * run.count)
+  }));
+
+  if (input.area) {
+    runs.push({ label: "Wall area", blockSize, blockPrice: input.blockPrice, area: input.area });
+  }
+  return runs;
+}
+
+// Index into wallRuns() of the run an opening is cut from: its run number if given, else the
+// wallArea shortcut, else the only run; -1 when that is ambiguous or out of range
+function openingRun(opening, input) {
+  const measured = (input.runs || []).length;
+
+  if (opening.run !== undefined) return opening.run >= 1 && opening.run <= measured ? opening.run - 1 : -1;
+  if (input.area) return measured;
+  return measured === 1 ? 0 : -1;
+}
+
+// Length along the wall base (m) and number of courses in a run; the wallArea shortcut
+// takes its length from wallLength
+function runCourses(run, input, jointThickness) {
+  const block = parseBlockSize(run.blockSize);
+  const baseLength = run.length ? run.length * run.count : input.wallLength || 0;
+  const height = run.height || (baseLength ? run.area / baseLength : 0);
+
+  return {
+    baseLength: round(baseLength),
+    courses: Math.floor(round(height / (block.height + jointThickness / 1000), 6))
+  };
+}
+
+// Units, mortar volume and core-fill volume (m³) for a net wall area laid in the given bond.
+// Hollow cores are part of each unit's envelope, so they never count as joint mortar.
+function blockQuantities(netArea, blockSize, { unit, jointThickness, bond, coreFill, voidRatio }) {
+  const block = parseBlockSize(blockSize);
+  const joint = jointThickness / 1000;
+  const pattern = BOND_PATTERNS[bond];
+
+  const blocks = Math.ceil(netArea * pattern.perSquareMetre(block, joint));
+  const blocksVolume = blocks * block.length * block.thickness * block.height;
+
+  return {
+    blocks,
+    mortarVolume: unit.mortar ? Math.max(0, netArea * pattern.thickness(block) - blocksVolume) : 0,
+    coreFillVolume: coreFill ? blocksVolume * voidRatio : 0
+  };
+}
+
+// input: { area, runs: [{ length, height, blockSize, blockPrice, count }],
+//          openings: [{ type, width, height, count, run }], unitType, blockSize, blockPrice,
+//          jointThickness (mm), bond, coreFill, coreFillPrice (per m³), voidRatio (%),
+//          wallLength, hoopIron, brickForce: { every, strands, rollLength, price },
+//          dpc: { rollLength, price }, ratio, cement, cementPrice, sand, sandPrice,
+//          waterCementRatio, waterPrice, waterPriceUnit, bowserLitres, laborPercent }
+function calculateWalling(input, constants = DEFAULT_CONSTANTS) {
+  const unitType = input.unitType || "stone";
+  const unit = MASONRY_UNITS[unitType];
+  const laying = {
+    unit,
+    jointThickness: !unit.mortar ? 0 : input.jointThickness === undefined ? unit.joint : input.jointThickness,
+    bond: input.bond || "stretcher",
+    coreFill: Boolean(input.coreFill),
+    voidRatio: input.voidRatio === undefined ? unit.voidRatio : input.voidRatio / 100
+  };
+  const openings = measureOpenings(input.openings);
+  const runs = wallRuns(input).map((run, index) => {
+    const deductions = round(openings
+      .filter((opening) => openingRun(opening, input) === index)
+      .reduce((total, opening) => total + opening.area, 0));
+    const netArea = round(run.area - deductions);
+    const { blocks, mortarVolume, coreFillVolume } = blockQuantities(netArea, run.blockSize, laying);
+
+    return {
+      ...run,
+      ...runCourses(run, input, laying.jointThickness),
+      deductions,
+      netArea,
+      blocks,
+      mortarVolume: round(mortarVolume, 3),
+      coreFillVolume: round(coreFillVolume, 3)
+    };
+  });
+
+  // One line per unit size and price, then the mortar and core fill for all runs
+  const blockItems = new Map();
+  for (const run of runs) {
+    const key = `${run.blockSize}|${run.blockPrice}`;
+    const item = blockItems.get(key) || lineItem(`${run.blockSize} ${unit.item}`, 0, "pcs", run.blockPrice);
+    blockItems.set(key, lineItem(item.material, item.quantity + run.blocks, "pcs", item.rate));
+  }
+  const mortarVolume = runs.reduce((total, run) => total + run.mortarVolume, 0);
+  const coreFillVolume = round(runs.reduce((total, run) => total + run.coreFillVolume, 0), 3);
+  const accessories = accessoryItems(runs, input);
+  const { water, items: waterItems } = waterQuantities(
+    unit.mortar ? mortarCementKg(mortarVolume, input.ratio, constants) : 0,
+    input,
+    "mortar"
+  );
+
+  const items = [
+    ...blockItems.values(),
+    ...(unit.mortar ? mortarItems(mortarVolume, input, constants) : []),
+    ...waterItems,
+    ...(laying.coreFill ? [lineItem("Core-fill concrete", coreFillVolume, "m³", input.coreFillPrice)] : []),
+    ...accessories.items
+  ];
+
+  return {
+    type: "walling",
+    area: round(runs.reduce((total, run) => total + run.area, 0)),
+    runs,
+    openings,
+    deductions: round(runs.reduce((total, run) => total + run.deductions, 0)),
+    netArea: round(runs.reduce((total, run) => total + run.netArea, 0)),
+    unitType,
+    jointThickness: laying.jointThickness,
+    bond: laying.bond,
+    coreFillVolume,
+    accessories: accessories.accessories,
+    ratio: input.ratio,
+    water,
+    constants,
+    ...summarize(items, input.laborPercent)
+  };
+}
+
+// Read walling input from submitted form or JSON fields
+function readWallingForm(body = {}) {
+  const field = createReader(body);
+  const runs = field.rows("runs", (row) => ({
+    length: row.number("length", { positive: true }),
+    height: row.number("height", { positive: true }),
+    blockSize: row.blockSize("blockSize", { optional: true }),
+    blockPrice: row.number("blockPrice", { optional: true }),
+    count: row.number("count", { positive: true })
+  }));
+  const area = field.number("wallArea", { positive: true, optional: true });
+  // The block size and price are only needed for the wall area and for runs without their own;
+  // a unit type supplies its standard size instead
+  const ownRuns = (key) => area === undefined && runs.length > 0 && runs.every((run) => run[key] !== undefined);
+  const input = {
+    area,
+    runs,
+    openings: field.rows("openings", (row) => ({
+      type: row.choice("type", Object.keys(OPENING_TYPES)),
+      width: row.number("width", { positive: true }),
+      height: row.number("height", { positive: true }),
+      count: row.number("count", { positive: true }),
+      run: row.number("run", { positive: true, optional: true })
+    })),
+    unitType: body.unitType ? field.choice("unitType", Object.keys(MASONRY_UNITS)) : undefined,
+    blockSize: field.blockSize("blockSize", { optional: Boolean(body.unitType) || ownRuns("blockSize") }),
+    blockPrice: field.number("blockPrice", { optional: ownRuns("blockPrice") }),
+    jointThickness: field.number("jointThickness", { positive: true, optional: true }),
+    bond: body.bond ? field.choice("bond", Object.keys(BOND_PATTERNS)) : undefined,
+    coreFill: ["on", "yes", "true", true].includes(body.coreFill),
+    voidRatio: field.number("voidRatio", { positive: true, optional: true }),
+    wallLength: field.number("wallLength", { positive: true, optional: true }),
+    ...readAccessories(field, body)
+  };
+  const unit = MASONRY_UNITS[input.unitType || "stone"] || MASONRY_UNITS.stone;
+
+  if (input.coreFill) {
+    input.coreFillPrice = field.number("coreFillPrice");
+    if (!unit.voidRatio && !input.voidRatio) {
+      field.fail("coreFill", "needs a unit with hollow cores or a void ratio");
+    }
+  }
+  if (input.voidRatio >= 100) {
+    field.fail("voidRatio", "must be less than 100%");
+  }
+
+  // Dry-stacked units need no mortar fields
+  if (unit.mortar) {
+    Object.assign(input, {
+      ratio: field.ratio("mortaRatio", 2),
+      cement: field.text("cement"),
+      cementPrice: field.number("cementPrice"),
+      sand: field.text("sand"),
+      sandPrice: field.number("sandPrice"),
+      ...readWaterFields(field, body)
+    });
+  }
+  input.laborPercent = field.number("laborPrice");
+
+  if (input.area === undefined && runs.length === 0) {
+    field.fail("wallArea", "is required unless wall runs are listed");
+  }
+  if (input.area !== undefined && input.wallLength === undefined && hasAccessories(input)) {
+    field.fail("wallLength", "is required for hoop iron, brick-force wire and DPC when giving a total area");
+  }
+
+  if (field.errors.length === 0) {
+    const openings = measureOpenings(input.openings);
+
+    openings.forEach((opening, index) => {
+      if (openingRun(opening, input) === -1) {
+        field.fail(`openings[${index}].run`, "must be the number of an existing wall run");
+      }
+    });
+    wallRuns(input).forEach((run, index) => {
+      const deductions = openings
+        .filter((opening) => openingRun(opening, input) === index)
+        .reduce((total, opening) => total + opening.area, 0);
+      if (deductions >= run.area) {
+        field.fail("openings", `must add up to less than the area of ${run.label.toLowerCase()}`);
+      }
+    });
+  }
+
+  return { input, errors: field.errors };
+}
+
+module.exports = { OPENING_TYPES, BOND_PATTERNS, calculateWalling, readWallingForm, parseBlockSize };
@@ -0,0 +1,52 @@
+// calculators/water.js - Mixing and curing water for concrete, mortar and plaster
+const { lineItem } = require("./common");
+
+// Water–cement ratio by mass when the form gives none
+const WATER_CEMENT_RATIOS = {
+  concrete: 0.5,
+  mortar: 0.6
+};
+
+// Water is priced per m³ or per bowser load
+const WATER_PRICE_UNITS = {
+  m3: "per m³",
+  bowser: "per bowser"
+};
+
+// Bowser capacity (litres) when the form gives none
+const DEFAULT_BOWSER_LITRES = 10000;
+
+// Read the water fields shared by the concrete, walling and plaster forms
+function readWaterFields(field, body) {
+  const water = {
+    waterCementRatio: field.number("waterCementRatio", { positive: true, optional: true }),
+    waterPrice: field.number("waterPrice", { optional: true })
+  };
+
+  if (water.waterPrice !== undefined) {
+    water.waterPriceUnit = body.waterPriceUnit ? field.choice("waterPriceUnit", Object.keys(WATER_PRICE_UNITS)) : "m3";
+    water.bowserLitres = field.number("bowserLitres", { positive: true, optional: true });
+  }
+  return water;
+}
+
+// Litres of mixing water for a mass of cement (1 kg of water is 1 litre), plus any curing
+// water, and a priced "Water" line when a water price was given.
+// kind: "concrete" or "mortar", for the default water–cement ratio
+function waterQuantities(cementKg, input, kind, curingLitres = 0) {
+  const waterCementRatio = input.waterCementRatio || WATER_CEMENT_RATIOS[kind];
+  const mixing = Math.ceil(cementKg * waterCementRatio);
+  const curing = Math.ceil(curingLitres);
+  const litres = mixing + curing;
+  const water = { waterCementRatio, mixing, curing, litres };
+
+  if (input.waterPrice === undefined || litres === 0) return { water, items: [] };
+
+  if (input.waterPriceUnit === "bowser") {
+    const bowserLitres = input.bowserLitres || DEFAULT_BOWSER_LITRES;
+    return { water, items: [lineItem("Water", Math.ceil(litres / bowserLitres), "bowsers", input.waterPrice)] };
+  }
+  return { water, items: [lineItem("Water", Math.ceil(litres / 10) / 100, "m³", input.waterPrice)] };
+}
+
+module.exports = { WATER_CEMENT_RATIOS, WATER_PRICE_UNITS, readWaterFields, waterQuantities };
@@ -1,9 +1,27 @@
 const express = require("express");
-const fs = require("fs");
+const { ELEMENT_TYPES, CONCRETE_GRADES, CONCRETE_SUPPLY, calculateConcrete, readConcreteForm, describeResult } = require("./calculators");
+const {
+  invalidFieldsPage,
+  escapeHtml,
+  formValues,
+  rowInputs,
+  waterInputs,
+  waterNote,
+  recordFields,
+  savedNote
+} = require("./views/calculator");
+const MaterialProfile = require("./models/materialProfile");
+const Project = require("./models/project");
+const Calculation = require("./models/calculation");
 const router = express.Router();
 
 // ================= FORM ROUTE =================
-router.get("/", (req, res) => {
+router.get("/", async (req, res) => {
+  const saved = await Calculation.findOwned(req.query.edit, req.session.email, "concrete");
+  const value = formValues(saved);
+  // Records saved with only a mix ratio (imported, older or API ones) reopen as a custom mix
+  const selectedGrade = saved?.fields?.concreteGrade || (saved?.fields?.concreteRatio ? "custom" : "C20");
+
   res.send(`
   <html>
     <head>
@@ -12,33 +30,79 @@ router.get("/", (req, res) => {
     <body>
       <h1>CONCRETE MIX</h1>
       <form action="/concrete/submit" method="POST">
-        <label for="concreteVolume">Volume in m³</label>
-        <input type="number" name="concreteVolume" placeholder="Volume in m³" required>
-
-        <label for="concreteRatio">Mix Ratio</label>
-        <input type="text" name="concreteRatio" placeholder="1:2:4" required>
-
+        <label>Elements in m (slab: length x width x thickness, beam: length x width x depth, column: width x breadth x height, footings: length x width x thickness)</label>
+        ${rowInputs(saved, "elements", [
+          { key: "type", label: "Element", options: Object.fromEntries(Object.entries(ELEMENT_TYPES).map(([type, element]) => [type, element.label])) },
+          { key: "mark", label: "Mark", type: "text", placeholder: "S1" },
+          { key: "length", label: "Length", placeholder: "6" },
+          { key: "width", label: "Width", placeholder: "4" },
+          { key: "depth", label: "Depth / height", placeholder: "0.15" },
+          { key: "count", label: "Count", placeholder: "1" }
+        ], 4)}
+
+        <label for="concreteVolume">Or volume in m³ (added to the elements)</label>
+        <input type="number" name="concreteVolume" placeholder="Volume in m³"${value("concreteVolume")}>
+
+        <label for="concreteGrade">Concrete grade</label>
+        <select name="concreteGrade">
+          ${Object.entries(CONCRETE_GRADES).map(([grade, ratio]) => `<option value="${grade}"${selectedGrade === grade ? " selected" : ""}>${grade} (${ratio})</option>`).join("")}
+          <option value="custom"${selectedGrade === "custom" ? " selected" : ""}>Custom mix ratio</option>
+        </select>
+
+        <label for="concreteRatio">Custom mix ratio (cement:sand:ballast)</label>
+        <input type="text" name="concreteRatio" placeholder="1:2:4"${value("concreteRatio")}>
+
+        <label for="concreteSupply">Concrete supplied as (fill in both sets of prices to compare them)</label>
+        <select name="concreteSupply">
+          ${Object.entries(CONCRETE_SUPPLY).map(([supply, label]) => `<option value="${supply}"${(saved?.fields?.concreteSupply || "site") === supply ? " selected" : ""}>${label}</option>`).join("")}
+        </select>
+
+        <h2>Site-batched</h2>
         <label for="cement">Cement description</label>
-        <input type="text" name="cement" placeholder="Bamburi Cement" required>
+        <input type="text" name="cement" placeholder="Bamburi Cement"${value("cement")}>
 
         <label for="cementPrice">Price of cement per bag</label>
-        <input type="number" name="cementPrice" placeholder="850" required>
+        <input type="number" name="cementPrice" placeholder="850"${value("cementPrice")}>
 
         <label for="sand">Sand description</label>
-        <input type="text" name="sand" placeholder="River Sand" required>
+        <input type="text" name="sand" placeholder="River Sand"${value("sand")}>
 
         <label for="sandPrice">Price of sand per ton</label>
-        <input type="number" name="sandPrice" placeholder="1350" required>
+        <input type="number" name="sandPrice" placeholder="1350"${value("sandPrice")}>
 
         <label for="ballast">Ballast brand</label>
-        <input type="text" name="ballast" placeholder="Mazeras Ballast" required>
+        <input type="text" name="ballast" placeholder="Mazeras Ballast"${value("ballast")}>
 
         <label for="ballastPrice">Price of ballast per ton</label>
-        <input type="number" name="ballastPrice" placeholder="2500" required>
+        <input type="number" name="ballastPrice" placeholder="2500"${value("ballastPrice")}>
+
+        <h2>Ready-mix</h2>
+        <label for="readyMixPrice">Price of ready-mix concrete per m³</label>
+        <input type="number" name="readyMixPrice" placeholder="14500"${value("readyMixPrice")}>
+
+        <label for="pumpHire">Pump hire for the pour (blank if not needed)</label>
+        <input type="number" name="pumpHire" placeholder="25000"${value("pumpHire")}>
+
+        <label for="minimumOrder">Minimum order in m³ (blank for none)</label>
+        <input type="number" step="any" name="minimumOrder" placeholder="6"${value("minimumOrder")}>
+
+        <label for="minimumOrderSurcharge">Surcharge for orders under the minimum</label>
+        <input type="number" name="minimumOrderSurcharge" placeholder="8000"${value("minimumOrderSurcharge")}>
+
+        <h2>Water, curing and labor</h2>
+
+        ${waterInputs(saved, "concrete")}
+
+        <label for="curingDays">Curing slabs: days of curing (blank for none)</label>
+        <input type="number" name="curingDays" placeholder="7"${value("curingDays")}>
+
+        <label for="curingLitres">Curing water in litres per m² of slab per day</label>
+        <input type="number" step="any" name="curingLitres" placeholder="5"${value("curingLitres")}>
 
         <label for="laborPrice">Labor percentage of materials</label>
-        <input type="number" name="laborPrice" placeholder="40" required>
+        <input type="number" name="laborPrice" placeholder="40"${value("laborPrice")} required>
 
+        ${recordFields(req.query.project, saved)}
         <input type="submit" value="Calculate">
       </form>
     </body>
@@ -47,77 +111,27 @@ router.get("/", (req, res) => {
 });
 
 // ================= SUBMIT ROUTE =================
-router.post("/submit", (req, res) => {
-  const {
-    concreteVolume,
-    concreteRatio,
-    cement,
-    cementPrice,
-    sand,
-    sandPrice,
-    ballast,
-    ballastPrice,
-    laborPrice
-  } = req.body;
-
-  // Convert inputs
-  let volume = parseFloat(concreteVolume);
-  let cemPrice = parseFloat(cementPrice);
-  let sanPrice = parseFloat(sandPrice);
-  let balPrice = parseFloat(ballastPrice);
-  let labor = parseFloat(laborPrice);
-
-  // Mix calculations
-  let dryVol = volume * 1.54;
-  let ratios = concreteRatio.split(":");
-  let cemPro = parseFloat(ratios[0]);
-  let sanPro = parseFloat(ratios[1]);
-  let balPro = parseFloat(ratios[2]);
-  let comSum = cemPro + sanPro + balPro;
-
-  let cemVol = (cemPro * dryVol) / comSum;
-  let sanVol = (sanPro * dryVol) / comSum;
-  let balVol = (balPro * dryVol) / comSum;
-
-  let cemWeight = cemVol * 1448;
-  let sanWeight = sanVol * 1600;
-  let balWeight = balVol * 2000;
-
-  let cemQty = Math.ceil(cemWeight / 50);
-  let sanQty = Math.ceil(sanWeight / 1000);
-  let balQty = Math.ceil(balWeight / 1000);
-
-  let cemCost = cemPrice * cemQty;
-  let sanCost = sanPrice * sanQty;
-  let balCost = balPrice * balQty;
-
-  let conMatCost = cemCost + sanCost + balCost;
-  let labCost = (labor * conMatCost) / 100;
-  let conCost = conMatCost + labCost;
+router.post("/submit", async (req, res) => {
+  const { input, errors } = readConcreteForm(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(errors, "/concrete"));
+  }
+
+  const project = await Project.findOwned(req.body.projectId, req.session.email);
+  const result = calculateConcrete(input, await MaterialProfile.resolveConstants(req.session.email, project?._id));
+
+  const calculation = await Calculation.record({
+    email: req.session.email,
+    body: req.body,
+    project,
+    calculator: "concrete",
+    input,
+    result
+  });
 
   // Descriptions
-  let cemdes = `${cement} ... ${cemQty} bags ... ${cemPrice} ... ${cemCost}`;
-  let sandes = `${sand} ... ${sanQty} tons ... ${sanPrice} ... ${sanCost}`;
-  let baldes = `${ballast} ... ${balQty} tons ... ${balPrice} ... ${balCost}`;
-  let matdes = `materials ... ${conMatCost}`;
-  let labdes = `labor ... ${labCost}`;
-  let condes = `subtotal ... ${conCost}`;
-
-  // Save data to file
-  let dataToSave = `Volume: ${concreteVolume} m³
-Ratio: ${concreteRatio}
-Materials:
-${cemdes}
-${sandes}
-${baldes}
-${matdes}
-${labdes}
-${condes}\n\n`;
-
-  fs.appendFile("materials.txt", dataToSave, (err) => {
-    if (err) console.error("Error writing to file:", err);
-    else console.log("Concrete data saved to materials.txt");
-  });
+  let lines = describeResult(result);
 
   // Send response
   res.send(`
@@ -127,18 +141,54 @@ ${condes}\n\n`;
       </head>
       <body>
         <h1>CONCRETE MIX DATA</h1>
-        <p>Volume: ${concreteVolume} m³</p>
-        <p>Ratio: ${concreteRatio}</p>
+        <p>Volume: ${result.volume} m³</p>
+        ${result.elements.length > 0 ? `
+        <table class="boq">
+          <thead>
+            <tr><th>Element</th><th>Size (m)</th><th>Count</th><th>Volume m³</th><th>Cement bags</th><th>Sand tons</th><th>Ballast tons</th></tr>
+          </thead>
+          <tbody>
+            ${result.elements.map((element) => `
+            <tr>
+              <td>${ELEMENT_TYPES[element.type].label}${element.mark ? ` ${escapeHtml(element.mark)}` : ""}</td>
+              <td>${element.length} x ${element.width} x ${element.depth}</td>
+              <td>${element.count}</td>
+              <td>${element.volume}</td>
+              <td>${element.cement}</td>
+              <td>${element.sand}</td>
+              <td>${element.ballast}</td>
+            </tr>`).join("")}
+          </tbody>
+        </table>
+        <p>Totals are rounded up to whole bags and tons.</p>` : ""}
+        <p>Grade: ${result.grade}</p>
+        <p>Supply: ${CONCRETE_SUPPLY[result.supply]}</p>
+        <p>Ratio: ${result.ratio}</p>
+        ${waterNote(result.water)}
+        ${result.comparison ? `
+        <h2>Site-batched vs ready-mix for ${result.volume} m³</h2>
+        <table class="boq">
+          <thead>
+            <tr><th>Supply</th><th>Materials</th><th>Labor</th><th>Total</th><th>Per m³</th></tr>
+          </thead>
+          <tbody>
+            ${result.comparison.map((option) => `
+            <tr>
+              <td>${CONCRETE_SUPPLY[option.supply]}${option.supply === result.supply ? " (used below)" : ""}</td>
+              <td>${option.materials}</td>
+              <td>${option.labor}</td>
+              <td>${option.subtotal}</td>
+              <td>${Math.round(option.subtotal / result.volume)}</td>
+            </tr>`).join("")}
+          </tbody>
+        </table>` : ""}
+        <p>Constants profile: ${escapeHtml(result.constants.profile)}</p>
         <h2>Materials</h2>
         <ul>
-          <li>${cemdes}</li>
-          <li>${sandes}</li>
-          <li>${baldes}</li>
-          <li>${matdes}</li>
-          <li>${labdes}</li>
-          <li>${condes}</li>
+          ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}
         </ul>
-        <p>Concrete data saved in materials.txt</p>
+        ${savedNote(calculation, project)}
+        ${calculation && result.elements.length > 0 ? `<p><a href="/formwork?concrete=${calculation._id}">🪵 Formwork for these elements</a></p>` : ""}
         <a href="/concrete">Go Back</a>
       </body>
     </html>
@@ -0,0 +1,24 @@
+// documents/company.js - Company branding printed on quotations
+const fs = require("fs");
+
+// Set COMPANY_NAME, COMPANY_ADDRESS, COMPANY_PHONE, COMPANY_EMAIL and COMPANY_LOGO (PNG or JPEG path) in .env
+function companyDetails() {
+  const logo = process.env.COMPANY_LOGO && fs.existsSync(process.env.COMPANY_LOGO)
+    ? process.env.COMPANY_LOGO
+    : null;
+
+  return {
+    name: process.env.COMPANY_NAME || "Construction Calculator",
+    address: process.env.COMPANY_ADDRESS || "",
+    phone: process.env.COMPANY_PHONE || "",
+    email: process.env.COMPANY_EMAIL || process.env.EMAIL_USER || "",
+    logo
+  };
+}
+
+// Days a quotation stays valid (QUOTE_VALIDITY_DAYS, default 30)
+function quoteValidityDays() {
+  return parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || 30;
+}
+
+module.exports = { companyDetails, quoteValidityDays };
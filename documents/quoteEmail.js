@@ -0,0 +1,71 @@
+// documents/quoteEmail.js - HTML email with the quotation attached as PDF and/or CSV
+const { companyDetails } = require("./company");
+const { renderQuotePdf } = require("./quotePdf");
+const { renderCsv } = require("./spreadsheet");
+const { escapeHtml } = require("../views/calculator");
+const { money } = require("../views/boq");
+
+const ATTACHMENTS = {
+  pdf: ["pdf"],
+  csv: ["csv"],
+  both: ["pdf", "csv"]
+};
+
+// One summary row per trade; the full breakdown is in the attachment
+function tradeRows(boq) {
+  return boq.trades.map((trade) => `
+              <tr>
+                <td style="padding: 6px; border-bottom: 1px solid #e0e0e0;">${escapeHtml(trade.title)}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #e0e0e0; text-align: right;">${money(trade.subtotal)}</td>
+              </tr>`).join("");
+}
+
+function quoteEmailHtml(quote, company) {
+  return `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 10px;">
+          <div style="text-align: center; background: #007BFF; padding: 20px; border-radius: 10px 10px 0 0; color: white;">
+            <h1>${escapeHtml(company.name)}</h1>
+            <p>Quotation ${quote.number}</p>
+          </div>
+
+          <div style="padding: 30px 20px;">
+            <h2>Dear ${escapeHtml(quote.client?.name || "Customer")},</h2>
+            <p>Please find attached our quotation${quote.title ? ` for <strong>${escapeHtml(quote.title)}</strong>` : ""}.</p>
+
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+              ${tradeRows(quote.boq)}
+              <tr>
+                <td style="padding: 6px;"><strong>Total</strong></td>
+                <td style="padding: 6px; text-align: right;"><strong>${money(quote.boq.total)}</strong></td>
+              </tr>
+            </table>
+
+            <p>This quotation is valid until <strong>${quote.validUntil.toDateString()}</strong>.</p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e0e0e0; color: #666; font-size: 12px;">
+              <p>${[company.name, company.address, company.phone, company.email].filter(Boolean).map(escapeHtml).join("<br>")}</p>
+            </div>
+          </div>
+        </div>
+      `;
+}
+
+// Subject, HTML body and attachments for nodemailer; attachment is "pdf", "csv" or "both"
+async function buildQuoteEmail(quote, attachment = "pdf") {
+  const company = companyDetails();
+  const attachments = [];
+
+  for (const format of ATTACHMENTS[attachment] || ATTACHMENTS.pdf) {
+    attachments.push(format === "pdf"
+      ? { filename: `${quote.number}.pdf`, content: await renderQuotePdf(quote), contentType: "application/pdf" }
+      : { filename: `${quote.number}.csv`, content: renderCsv(quote.boq), contentType: "text/csv" });
+  }
+
+  return {
+    subject: `Quotation ${quote.number}${quote.title ? ` - ${quote.title}` : ""} from ${company.name}`,
+    html: quoteEmailHtml(quote, company),
+    attachments
+  };
+}
+
+module.exports = { ATTACHMENTS, buildQuoteEmail };
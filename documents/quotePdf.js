@@ -0,0 +1,145 @@
+// documents/quotePdf.js - Branded PDF quotation built from a quote's frozen BOQ
+const PDFDocument = require("pdfkit");
+const { companyDetails } = require("./company");
+const { money } = require("../views/boq");
+
+const MARGIN = 50;
+const COLUMNS = [
+  { key: "description", title: "Description", x: 50, width: 215, align: "left" },
+  { key: "quantity", title: "Qty", x: 265, width: 60, align: "right" },
+  { key: "unit", title: "Unit", x: 330, width: 45, align: "left" },
+  { key: "rate", title: "Rate", x: 375, width: 70, align: "right" },
+  { key: "amount", title: "Amount", x: 445, width: 100, align: "right" }
+];
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" });
+}
+
+// Start a new page when the next row would run past the bottom margin
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+}
+
+function drawRow(doc, values, { bold = false, fill = null } = {}) {
+  ensureSpace(doc, 18);
+  const y = doc.y;
+
+  if (fill) {
+    doc.rect(MARGIN, y - 3, doc.page.width - MARGIN * 2, 17).fill(fill);
+    doc.fillColor("black");
+  }
+
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  for (const column of COLUMNS) {
+    if (values[column.key] === undefined) continue;
+    doc.text(String(values[column.key]), column.x, y, { width: column.width, align: column.align, lineBreak: false });
+  }
+  doc.y = y + 17;
+}
+
+function drawHeader(doc, quote, company) {
+  if (company.logo) {
+    doc.image(company.logo, MARGIN, MARGIN, { fit: [120, 60] });
+  }
+
+  doc.font("Helvetica-Bold").fontSize(16).text(company.name, 250, MARGIN, { width: 295, align: "right" });
+  doc.font("Helvetica").fontSize(9);
+  for (const line of [company.address, company.phone, company.email].filter(Boolean)) {
+    doc.text(line, { width: 295, align: "right" });
+  }
+
+  doc.y = Math.max(doc.y, MARGIN + 70);
+  doc.moveDown();
+  doc.font("Helvetica-Bold").fontSize(20).text("QUOTATION", MARGIN, doc.y);
+  doc.moveDown(0.5);
+
+  const top = doc.y;
+  doc.font("Helvetica").fontSize(10);
+  doc.text(`Quote No: ${quote.number}`, MARGIN, top);
+  doc.text(`Date: ${formatDate(quote.createdAt)}`);
+  doc.text(`Valid until: ${formatDate(quote.validUntil)}`);
+  if (quote.title) doc.text(`Re: ${quote.title}`);
+  const left = doc.y;
+
+  const client = quote.client || {};
+  doc.font("Helvetica-Bold").text("Client", 330, top);
+  doc.font("Helvetica");
+  for (const line of [client.name, client.address, client.phone, client.email].filter(Boolean)) {
+    doc.text(line, 330, doc.y, { width: 215 });
+  }
+
+  doc.y = Math.max(left, doc.y);
+  doc.moveDown(1.5);
+}
+
+function drawBoq(doc, boq) {
+  const header = Object.fromEntries(COLUMNS.map((column) => [column.key, column.title]));
+  drawRow(doc, header, { bold: true, fill: "#e9f2ff" });
+
+  for (const trade of boq.trades) {
+    drawRow(doc, { description: trade.title.toUpperCase() }, { bold: true });
+
+    for (const element of trade.elements) {
+      if (trade.elements.length > 1 || element.label) {
+        drawRow(doc, { description: element.label || trade.title }, { bold: true, fill: "#f8f9fa" });
+      }
+      for (const item of element.result.items) {
+        drawRow(doc, {
+          description: item.material,
+          quantity: money(item.quantity),
+          unit: item.unit,
+          rate: money(item.rate),
+          amount: money(item.amount)
+        });
+      }
+      drawRow(doc, {
+        description: `Labor (${money(element.result.laborPercent)}% of materials)`,
+        amount: money(element.result.labor)
+      });
+    }
+
+    drawRow(doc, { description: `${trade.title} subtotal`, amount: money(trade.subtotal) }, { bold: true });
+    doc.moveDown(0.5);
+  }
+
+  doc.moveDown(0.5);
+  drawRow(doc, { description: "Materials", amount: money(boq.materials) });
+  drawRow(doc, { description: "Labor", amount: money(boq.labor) });
+  drawRow(doc, { description: "TOTAL", amount: money(boq.total) }, { bold: true, fill: "#e9f2ff" });
+}
+
+function drawFooter(doc, quote, company) {
+  ensureSpace(doc, 60);
+  doc.moveDown(2);
+  doc.font("Helvetica").fontSize(9).text(
+    `This quotation is valid until ${formatDate(quote.validUntil)}. Quantities are estimates and prices are subject to change after that date.`,
+    MARGIN,
+    doc.y,
+    { width: doc.page.width - MARGIN * 2 }
+  );
+  doc.moveDown();
+  doc.text(`${company.name}`, { width: doc.page.width - MARGIN * 2 });
+}
+
+// Render a quote to a PDF buffer, ready to download or attach to an email
+function renderQuotePdf(quote) {
+  return new Promise((resolve, reject) => {
+    const company = companyDetails();
+    const doc = new PDFDocument({ size: "A4", margin: MARGIN, info: { Title: `Quotation ${quote.number}`, Author: company.name } });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    drawHeader(doc, quote, company);
+    drawBoq(doc, quote.boq);
+    drawFooter(doc, quote, company);
+    doc.end();
+  });
+}
+
+module.exports = { renderQuotePdf };
@@ -0,0 +1,128 @@
+// documents/spreadsheet.js - CSV and Excel (XLSX) exports of a BOQ, one row per line item
+const ExcelJS = require("exceljs");
+
+const CSV_HEADER = ["Trade", "Element", "Description", "Quantity", "Unit", "Rate", "Amount"];
+
+// Quote a CSV value when it contains a comma, quote or line break. Text that a spreadsheet would
+// read as a formula (=, +, -, @, tab or CR first) is prefixed with ' so it stays text; numbers are
+// left alone
+function csvValue(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Flat CSV: every material line and labor line, then the grand totals
+function renderCsv(boq) {
+  const rows = [CSV_HEADER];
+
+  for (const trade of boq.trades) {
+    for (const element of trade.elements) {
+      const label = element.label || trade.title;
+      for (const item of element.result.items) {
+        rows.push([trade.title, label, item.material, item.quantity, item.unit, item.rate, item.amount]);
+      }
+      rows.push([trade.title, label, "Labor", element.result.laborPercent, "% of materials", "", element.result.labor]);
+    }
+  }
+
+  rows.push(["", "", "Materials", "", "", "", boq.materials]);
+  rows.push(["", "", "Labor", "", "", "", boq.labor]);
+  rows.push(["", "", "Total", "", "", "", boq.total]);
+
+  return rows.map((row) => row.map(csvValue).join(",")).join("\r\n") + "\r\n";
+}
+
+// Workbook with live formulas: amounts are Qty x Rate, labor is a % of its element's
+// materials, and the subtotals and totals are SUMs, so edits in Excel recalculate
+async function renderXlsx(boq, title) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Bill of Quantities");
+
+  sheet.columns = [
+    { header: "Description", key: "description", width: 40 },
+    { header: "Quantity", key: "quantity", width: 12 },
+    { header: "Unit", key: "unit", width: 16 },
+    { header: "Rate", key: "rate", width: 12 },
+    { header: "Amount", key: "amount", width: 16 }
+  ];
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn("rate").numFmt = "#,##0.00";
+  sheet.getColumn("amount").numFmt = "#,##0.00";
+
+  if (title) {
+    sheet.spliceRows(1, 0, [title], []);
+    sheet.getRow(1).font = { bold: true, size: 14 };
+  }
+
+  const materialCells = [];
+  const laborCells = [];
+  const subtotalCells = [];
+
+  for (const trade of boq.trades) {
+    sheet.addRow({ description: trade.title.toUpperCase() }).font = { bold: true };
+    const tradeCells = [];
+
+    for (const element of trade.elements) {
+      sheet.addRow({ description: element.label || trade.title }).font = { italic: true };
+      const first = sheet.rowCount + 1;
+
+      for (const item of element.result.items) {
+        const row = sheet.addRow({ description: item.material, quantity: item.quantity, unit: item.unit, rate: item.rate });
+        row.getCell("amount").value = { formula: `B${row.number}*D${row.number}`, result: item.amount };
+      }
+
+      const items = `E${first}:E${sheet.rowCount}`;
+      const labor = sheet.addRow({ description: "Labor", unit: "% of materials", rate: element.result.laborPercent });
+      labor.getCell("amount").value = {
+        formula: `SUM(${items})*D${labor.number}/100`,
+        result: element.result.labor
+      };
+
+      materialCells.push(items);
+      laborCells.push(`E${labor.number}`);
+      tradeCells.push(`E${first}:E${labor.number}`);
+    }
+
+    const subtotal = sheet.addRow({ description: `${trade.title} subtotal` });
+    subtotal.getCell("amount").value = { formula: `SUM(${tradeCells.join(",")})`, result: trade.subtotal };
+    subtotal.font = { bold: true };
+    subtotalCells.push(`E${subtotal.number}`);
+    sheet.addRow({});
+  }
+
+  const materials = sheet.addRow({ description: "Materials" });
+  materials.getCell("amount").value = { formula: `SUM(${materialCells.join(",") || 0})`, result: boq.materials };
+  const labor = sheet.addRow({ description: "Labor" });
+  labor.getCell("amount").value = { formula: `SUM(${laborCells.join(",") || 0})`, result: boq.labor };
+  const total = sheet.addRow({ description: "TOTAL" });
+  total.getCell("amount").value = { formula: `SUM(${subtotalCells.join(",") || 0})`, result: boq.total };
+  total.font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// File-name friendly version of a title
+function exportFileName(title) {
+  return String(title || "boq").replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() || "boq";
+}
+
+const EXPORT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// Send a BOQ as a CSV or XLSX download; false when the format is not supported
+async function sendBoqExport(res, format, boq, title) {
+  if (!EXPORT_TYPES[format]) return false;
+
+  const file = format === "csv" ? renderCsv(boq) : await renderXlsx(boq, title);
+  res.set({
+    "Content-Type": EXPORT_TYPES[format],
+    "Content-Disposition": `attachment; filename="${exportFileName(title)}.${format}"`
+  });
+  res.send(file);
+  return true;
+}
+
+module.exports = { renderCsv, renderXlsx, exportFileName, sendBoqExport };
@@ -1,9 +1,35 @@
 // excavation.js - Corrected version
 const express = require("express");
-const fs = require("fs");
+const {
+  EXCAVATION_TYPES,
+  SOIL_CLASSES,
+  DEPTH_BANDS,
+  BASE_LAYERS,
+  rateField,
+  calculateExcavation,
+  readExcavationForm,
+  describeResult
+} = require("./calculators");
+const { invalidFieldsPage, escapeHtml, formValues, rowInputs, recordFields, savedNote } = require("./views/calculator");
+const MaterialProfile = require("./models/materialProfile");
+const Project = require("./models/project");
+const Calculation = require("./models/calculation");
 const router = express.Router();
 
-router.get("/", (req, res) => {
+// How the sides of an excavation are formed, for the results table
+function sidesLabel(excavation) {
+  const sides = [];
+  if (excavation.slope) sides.push(`battered ${excavation.slope}:1`);
+  if (excavation.benches) sides.push(`${excavation.benches} bench${excavation.benches === 1 ? "" : "es"} of ${excavation.benchWidth} m`);
+  if (excavation.shore) sides.push("shored");
+  return sides.length > 0 ? sides.join(", ") : "vertical";
+}
+
+router.get("/", async (req, res) => {
+  const saved = await Calculation.findOwned(req.query.edit, req.session.email, "excavation");
+  const value = formValues(saved);
+  const volumeSoil = saved?.fields?.soilClass || "soft";
+
   res.send(`
   <html>
     <head>
@@ -12,15 +38,88 @@ router.get("/", (req, res) => {
     <body>
       <h1>EXCAVATION CALCULATOR</h1>
       <form action="/excavation/submit" method="POST">
-        <label for="excavationVolume">Volume in m³</label>
-        <input type="number" name="excavationVolume" placeholder="Volume in m³" required>
+        <label>Excavations in m (length x width x depth at the base; slope is m across per 1 m down, blank for vertical sides)</label>
+        ${rowInputs(saved, "excavations", [
+          { key: "type", label: "Excavation", options: EXCAVATION_TYPES },
+          { key: "mark", label: "Mark", type: "text", placeholder: "T1" },
+          { key: "soil", label: "Soil", options: Object.fromEntries(Object.entries(SOIL_CLASSES).map(([soil, soilClass]) => [soil, soilClass.label])) },
+          { key: "length", label: "Length", placeholder: "24" },
+          { key: "width", label: "Width", placeholder: "0.6" },
+          { key: "depth", label: "Depth", placeholder: "1" },
+          { key: "count", label: "Count", placeholder: "1" },
+          { key: "slope", label: "Slope", placeholder: "0.5" },
+          { key: "benches", label: "Benches", placeholder: "0" },
+          { key: "benchWidth", label: "Bench width", placeholder: "0.5" },
+          { key: "shore", label: "Shored", options: { no: "No", yes: "Yes" } }
+        ], 4)}
+
+        <label>Rates per m³ in-situ (only the soils and depths dug are needed)</label>
+        <table class="row-inputs">
+          <thead>
+            <tr><th>Soil</th>${Object.values(DEPTH_BANDS).map((band) => `<th>${band.label}</th>`).join("")}</tr>
+          </thead>
+          <tbody>
+            ${Object.entries(SOIL_CLASSES).map(([soil, soilClass]) => `
+            <tr>
+              <td>${soilClass.label}</td>
+              ${Object.keys(DEPTH_BANDS).map((band) => `<td><input type="number" step="any" name="${rateField(soil, band)}"${value(rateField(soil, band))}></td>`).join("")}
+            </tr>`).join("")}
+          </tbody>
+        </table>
+
+        <label for="excavationVolume">Or volume in m³ (added to the excavations)</label>
+        <input type="number" name="excavationVolume" placeholder="Volume in m³"${value("excavationVolume")}>
+
+        <label for="soilClass">Soil for that volume</label>
+        <select name="soilClass">
+          ${Object.entries(SOIL_CLASSES).map(([soil, soilClass]) => `<option value="${soil}"${volumeSoil === soil ? " selected" : ""}>${soilClass.label}</option>`).join("")}
+        </select>
 
         <label for="excavationRate">Rate per m³</label>
-        <input type="number" name="excavationRate" placeholder="500" required>
+        <input type="number" name="excavationRate" placeholder="500"${value("excavationRate")}>
+
+        <label for="shoringRate">Shoring and timbering rate per m² of shored side</label>
+        <input type="number" name="shoringRate" placeholder="650"${value("shoringRate")}>
+
+        <label for="dewateringDays">Dewatering: days of pumping (blank for none)</label>
+        <input type="number" name="dewateringDays" placeholder="10"${value("dewateringDays")}>
+
+        <label for="dewateringRate">Dewatering rate per day</label>
+        <input type="number" name="dewateringRate" placeholder="4500"${value("dewateringRate")}>
+
+        <h2>Backfill and cart away</h2>
+        <label for="foundationVolume">Volume of the foundations below ground in m³ (blank to cart away all the spoil)</label>
+        <input type="number" step="any" name="foundationVolume" placeholder="8"${value("foundationVolume")}>
+
+        <label for="backfillRate">Backfill rate per m³</label>
+        <input type="number" name="backfillRate" placeholder="250"${value("backfillRate")}>
+
+        <label for="lorryCapacity">Lorry load in m³ loose (blank for 10)</label>
+        <input type="number" step="any" name="lorryCapacity" placeholder="10"${value("lorryCapacity")}>
+
+        <label for="cartAwayRate">Cart-away rate per lorry trip (blank if not priced)</label>
+        <input type="number" name="cartAwayRate" placeholder="6000"${value("cartAwayRate")}>
+
+        <h2>Base layers (blank area for none)</h2>
+        <table class="row-inputs">
+          <thead>
+            <tr><th>Layer</th><th>Area m²</th><th>Thickness mm</th><th>Rate per m³</th></tr>
+          </thead>
+          <tbody>
+            ${Object.entries(BASE_LAYERS).map(([layer, baseLayer]) => `
+            <tr>
+              <td>${baseLayer.label}</td>
+              <td><input type="number" step="any" name="${layer}Area"${value(`${layer}Area`)}></td>
+              <td><input type="number" step="any" name="${layer}Thickness" placeholder="${baseLayer.thickness}"${value(`${layer}Thickness`)}></td>
+              <td><input type="number" step="any" name="${layer}Rate"${value(`${layer}Rate`)}></td>
+            </tr>`).join("")}
+          </tbody>
+        </table>
 
         <label for="laborPrice">Labor percentage</label>
-        <input type="number" name="laborPrice" placeholder="40" required>
+        <input type="number" name="laborPrice" placeholder="40"${value("laborPrice")} required>
 
+        ${recordFields(req.query.project, saved)}
         <input type="submit" value="Calculate">
       </form>
     </body>
@@ -28,24 +127,27 @@ router.get("/", (req, res) => {
   `);
 });
 
-router.post("/submit", (req, res) => {
-  const { excavationVolume, excavationRate, laborPrice } = req.body;
-
-  let volume = parseFloat(excavationVolume);
-  let rate = parseFloat(excavationRate);
-  let labor = parseFloat(laborPrice);
+router.post("/submit", async (req, res) => {
+  const { input, errors } = readExcavationForm(req.body);
 
-  let excavationCost = volume * rate;
-  let labCost = (labor * excavationCost) / 100;
-  let totalCost = excavationCost + labCost;
+  if (errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(errors, "/excavation"));
+  }
 
-  let dataToSave = `Excavation ... ${volume} m³ ... ${rate} ... ${excavationCost}\nLabor ... ${labCost}\nTotal ... ${totalCost}\n\n`;
+  const project = await Project.findOwned(req.body.projectId, req.session.email);
+  const result = calculateExcavation(input, await MaterialProfile.resolveConstants(req.session.email, project?._id));
 
-  fs.appendFile("materials.txt", dataToSave, (err) => {
-    if (err) console.error("Error writing to file:", err);
-    else console.log("Excavation data saved to materials.txt");
+  const calculation = await Calculation.record({
+    email: req.session.email,
+    body: req.body,
+    project,
+    calculator: "excavation",
+    input,
+    result
   });
 
+  let lines = describeResult(result);
+
   res.send(`
     <html>
       <head>
@@ -53,14 +155,38 @@ router.post("/submit", (req, res) => {
       </head>
       <body>
         <h1>EXCAVATION DATA</h1>
-        <p>Volume: ${volume} m³</p>
-        <p>Rate: ${rate} per m³</p>
+        ${result.excavations.length > 0 ? `
+        <table class="boq">
+          <thead>
+            <tr><th>Excavation</th><th>Soil</th><th>Size (m)</th><th>Count</th><th>Sides</th><th>Depth band</th><th>In-situ m³</th><th>Loose m³</th></tr>
+          </thead>
+          <tbody>
+            ${result.excavations.map((excavation) => `
+            <tr>
+              <td>${EXCAVATION_TYPES[excavation.type]}${excavation.mark ? ` ${escapeHtml(excavation.mark)}` : ""}</td>
+              <td>${SOIL_CLASSES[excavation.soil].label} (x${SOIL_CLASSES[excavation.soil].bulking})</td>
+              <td>${excavation.length} x ${excavation.width} x ${excavation.depth}</td>
+              <td>${excavation.count}</td>
+              <td>${sidesLabel(excavation)}</td>
+              <td>${DEPTH_BANDS[excavation.band].label}</td>
+              <td>${excavation.volume}</td>
+              <td>${excavation.looseVolume}</td>
+            </tr>`).join("")}
+          </tbody>
+        </table>` : ""}
+        <p>In-situ volume: ${result.volume} m³</p>
+        <p>Loose volume: ${result.looseVolume} m³</p>
+        ${result.shoringArea ? `<p>Shoring and timbering: ${result.shoringArea} m²</p>` : ""}
+        ${result.dewateringDays ? `<p>Dewatering: ${result.dewateringDays} days</p>` : ""}
+        ${result.backfillVolume ? `<p>Backfill: ${result.volume} m³ dug - ${result.foundationVolume} m³ foundations = ${result.backfillVolume} m³</p>` : ""}
+        ${result.disposalVolume !== undefined ? `<p>Cart away: ${result.disposalVolume} m³ loose in ${result.lorryTrips} lorry trip${result.lorryTrips === 1 ? "" : "s"}</p>` : ""}
+        ${(result.layers || []).map((layer) => `<p>${BASE_LAYERS[layer.layer].label}: ${layer.area} m² x ${layer.thickness} mm = ${layer.volume} m³</p>`).join("")}
+        <p>Constants profile: ${escapeHtml(result.constants.profile)}</p>
         <h2>Cost Breakdown</h2>
         <ul>
-          <li>Excavation Cost: ${excavationCost}</li>
-          <li>Labor: ${labCost}</li>
-          <li>Total: ${totalCost}</li>
+          ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}
         </ul>
+        ${savedNote(calculation, project)}
         <a href="/excavation">Go Back</a>
       </body>
     </html>
@@ -0,0 +1,140 @@
+const express = require("express");
+const { ELEMENT_TYPES, FORMWORK_DEFAULTS, calculateFormwork, readFormworkForm, describeResult } = require("./calculators");
+const { invalidFieldsPage, escapeHtml, formValues, rowInputs, recordFields, savedNote } = require("./views/calculator");
+const MaterialProfile = require("./models/materialProfile");
+const Project = require("./models/project");
+const Calculation = require("./models/calculation");
+const router = express.Router();
+
+// ================= FORM ROUTE =================
+router.get("/", async (req, res) => {
+  const saved = await Calculation.findOwned(req.query.edit, req.session.email, "formwork");
+  const value = formValues(saved);
+
+  // A new formwork estimate can start from the elements of a saved concrete calculation
+  const concrete = saved ? null : await Calculation.findOwned(req.query.concrete, req.session.email, "concrete");
+  const elements = saved || (concrete ? { fields: { elements: concrete.fields.elements } } : null);
+  const projectId = req.query.project || (concrete && concrete.project ? String(concrete.project) : undefined);
+
+  res.send(`
+  <html>
+    <head>
+      <link rel="stylesheet" href="/styles.css">
+    </head>
+    <body>
+      <h1>FORMWORK</h1>
+      <form action="/formwork/submit" method="POST">
+        <label>Elements in m (slab: length x width x thickness, beam: length x width x depth, column: width x breadth x height, footings: length x width x thickness)</label>
+        ${rowInputs(elements, "elements", [
+          { key: "type", label: "Element", options: Object.fromEntries(Object.entries(ELEMENT_TYPES).map(([type, element]) => [type, element.label])) },
+          { key: "mark", label: "Mark", type: "text", placeholder: "S1" },
+          { key: "length", label: "Length", placeholder: "6" },
+          { key: "width", label: "Width", placeholder: "4" },
+          { key: "depth", label: "Depth / height", placeholder: "0.15" },
+          { key: "count", label: "Count", placeholder: "1" }
+        ], 4)}
+
+        <label for="reuses">Number of pours the formwork is used for (blank for 1)</label>
+        <input type="number" name="reuses" placeholder="1"${value("reuses")}>
+
+        <label for="plywood">Plywood description</label>
+        <input type="text" name="plywood" placeholder="18 mm shuttering plywood"${value("plywood")} required>
+
+        <label for="plywoodPrice">Price of plywood per sheet (1220 x 2440)</label>
+        <input type="number" name="plywoodPrice" placeholder="3200"${value("plywoodPrice")} required>
+
+        <label for="timber">Timber description</label>
+        <input type="text" name="timber" placeholder="50 x 75 cypress"${value("timber")} required>
+
+        <label for="timberPrice">Price of timber per metre</label>
+        <input type="number" name="timberPrice" placeholder="90"${value("timberPrice")} required>
+
+        <label for="timberPerSquareMetre">Timber in metres per m² of formwork (blank for ${FORMWORK_DEFAULTS.timberPerSquareMetre})</label>
+        <input type="number" step="any" name="timberPerSquareMetre" placeholder="${FORMWORK_DEFAULTS.timberPerSquareMetre}"${value("timberPerSquareMetre")}>
+
+        <label for="propPrice">Price per prop (slabs and beams)</label>
+        <input type="number" name="propPrice" placeholder="450"${value("propPrice")}>
+
+        <label for="propArea">Soffit area in m² carried by one prop (blank for ${FORMWORK_DEFAULTS.propArea})</label>
+        <input type="number" step="any" name="propArea" placeholder="${FORMWORK_DEFAULTS.propArea}"${value("propArea")}>
+
+        <label for="nailPrice">Price of nails per kg</label>
+        <input type="number" name="nailPrice" placeholder="200"${value("nailPrice")} required>
+
+        <label for="fixingRate">Labor to fix and strip formwork per m²</label>
+        <input type="number" name="fixingRate" placeholder="350"${value("fixingRate")} required>
+
+        <label for="laborPrice">Other labor percentage of materials (blank for none)</label>
+        <input type="number" name="laborPrice" placeholder="0"${value("laborPrice")}>
+
+        ${recordFields(projectId, saved)}
+        <input type="submit" value="Calculate">
+      </form>
+    </body>
+  </html>
+  `);
+});
+
+// ================= SUBMIT ROUTE =================
+router.post("/submit", async (req, res) => {
+  const { input, errors } = readFormworkForm(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(errors, "/formwork"));
+  }
+
+  const project = await Project.findOwned(req.body.projectId, req.session.email);
+  const result = calculateFormwork(input, await MaterialProfile.resolveConstants(req.session.email, project?._id));
+
+  const calculation = await Calculation.record({
+    email: req.session.email,
+    body: req.body,
+    project,
+    calculator: "formwork",
+    input,
+    result
+  });
+
+  // Descriptions
+  let lines = describeResult(result);
+
+  // Send response
+  res.send(`
+    <html>
+      <head>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <h1>FORMWORK DATA</h1>
+        <table class="boq">
+          <thead>
+            <tr><th>Element</th><th>Size (m)</th><th>Count</th><th>Contact area m²</th><th>Propped soffit m²</th></tr>
+          </thead>
+          <tbody>
+            ${result.elements.map((element) => `
+            <tr>
+              <td>${ELEMENT_TYPES[element.type].label}${element.mark ? ` ${escapeHtml(element.mark)}` : ""}</td>
+              <td>${element.length} x ${element.width} x ${element.depth}</td>
+              <td>${element.count}</td>
+              <td>${element.contactArea}</td>
+              <td>${element.proppedArea}</td>
+            </tr>`).join("")}
+          </tbody>
+        </table>
+        <p>Contact area: ${result.contactArea} m²</p>
+        <p>Propped soffit: ${result.proppedArea} m²</p>
+        <p>Formwork used for ${result.reuses} pour${result.reuses === 1 ? "" : "s"}: plywood, timber and props are shared between them</p>
+        <p>Constants profile: ${escapeHtml(result.constants.profile)}</p>
+        <h2>Materials</h2>
+        <ul>
+          ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}
+        </ul>
+        ${savedNote(calculation, project)}
+        <a href="/formwork">Go Back</a>
+      </body>
+    </html>
+  `);
+});
+
+// ✅ Export router
+module.exports = router;
@@ -0,0 +1,192 @@
+// importers/materialsLog.js - Parse the legacy materials.txt log into calculation records
+const crypto = require("crypto");
+const { DEFAULT_CONSTANTS } = require("../calculators");
+
+const NUMBER = "(\\d+(?:\\.\\d+)?)";
+const SEP = "\\s*\\.\\.\\.\\s*";
+
+// "river sand ... 5 tons ... 1200 ... 6000", or the older plaster "river sand ... 5 ... tons ... 1200 ... 6000"
+const ITEM_LINE = new RegExp(`^(.*?)${SEP}${NUMBER}\\s*(?:\\.\\.\\.\\s*)?(bags|tons|pcs)${SEP}${NUMBER}${SEP}${NUMBER}$`);
+const TOTAL_LINE = new RegExp(`^(materials|labor|subtotal|total)${SEP}${NUMBER}$`, "i");
+// "Excavation ... 25 m³ ... 600 ... 15000", or the older "Excavation ... 50 ...m³ ... 50 ... 2500"
+const EXCAVATION_LINE = new RegExp(`^Excavation${SEP}${NUMBER}\\s*(?:\\.\\.\\.)?\\s*m³${SEP}${NUMBER}${SEP}${NUMBER}$`, "i");
+
+// Split the log into blank-line separated blocks, remembering where each starts
+function splitBlocks(text) {
+  const blocks = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { line: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return blocks;
+}
+
+// Header values like "Area: 200 m²" keyed by their lowercase name
+function readHeaders(lines) {
+  const headers = {};
+  for (const line of lines) {
+    for (const part of line.split(/\s*\.\.\.\s*/)) {
+      const match = part.match(/^(Email|Area|Volume|Ratio|Thickness):\s*(.+)$/i);
+      if (match) headers[match[1].toLowerCase()] = match[2].trim();
+    }
+  }
+  return headers;
+}
+
+function parseItem(line) {
+  const match = line.match(ITEM_LINE);
+  if (!match) return null;
+
+  const [, material, quantity, unit, rate, amount] = match;
+  return { material: material.trim(), quantity: Number(quantity), unit, rate: Number(rate), amount: Number(amount) };
+}
+
+// Totals lines keyed by name; missing labor is 0 and missing subtotal is materials + labor
+function readTotals(lines, items) {
+  const totals = {};
+  for (const line of lines) {
+    const match = line.match(TOTAL_LINE);
+    if (match) totals[match[1].toLowerCase()] = Number(match[2]);
+  }
+
+  const materials = totals.materials ?? items.reduce((total, item) => total + item.amount, 0);
+  const labor = totals.labor ?? 0;
+  const subtotal = totals.subtotal ?? totals.total ?? materials + labor;
+
+  return {
+    laborPercent: materials ? (labor / materials) * 100 : 0,
+    materials,
+    labor,
+    subtotal
+  };
+}
+
+function parseExcavation(lines) {
+  const match = lines[0].match(EXCAVATION_LINE);
+  if (!match) return null;
+
+  const [, volume, rate, amount] = match.map(Number);
+  const items = [{ material: "Excavation", quantity: volume, unit: "m³", rate, amount }];
+  const summary = readTotals(lines.slice(1), items);
+
+  return {
+    calculator: "excavation",
+    fields: { excavationVolume: volume, excavationRate: rate, laborPrice: summary.laborPercent },
+    input: { volume, rate, laborPercent: summary.laborPercent },
+    result: { type: "excavation", volume, constants: DEFAULT_CONSTANTS, items, ...summary }
+  };
+}
+
+function parseMaterialsBlock(lines, headers) {
+  const items = lines.map(parseItem).filter(Boolean);
+  const summary = readTotals(lines, items);
+  const byUnit = (unit) => items.filter((item) => item.unit === unit);
+  const [cement] = byUnit("bags");
+  const [sand, ballast] = byUnit("tons");
+  const [blocks] = byUnit("pcs");
+
+  if (!headers.area && !headers.volume) return { error: "not a recognised calculation block" };
+  if (!headers.ratio) return { error: "missing Ratio line" };
+  if (!cement || !sand) return { error: "missing cement or sand line" };
+
+  const shared = {
+    cement: cement.material,
+    cementPrice: cement.rate,
+    sand: sand.material,
+    sandPrice: sand.rate,
+    laborPercent: summary.laborPercent
+  };
+  const sharedFields = {
+    cement: cement.material,
+    cementPrice: cement.rate,
+    sand: sand.material,
+    sandPrice: sand.rate,
+    laborPrice: summary.laborPercent
+  };
+
+  if (headers.volume) {
+    if (!ballast) return { error: "concrete block without a ballast line" };
+
+    const volume = parseFloat(headers.volume);
+    const input = { volume, ratio: headers.ratio, ...shared, ballast: ballast.material, ballastPrice: ballast.rate };
+    return {
+      calculator: "concrete",
+      fields: { concreteVolume: volume, concreteRatio: headers.ratio, ...sharedFields, ballast: ballast.material, ballastPrice: ballast.rate },
+      input,
+      result: { type: "concrete", volume, ratio: headers.ratio, constants: DEFAULT_CONSTANTS, items, ...summary }
+    };
+  }
+
+  const area = parseFloat(headers.area);
+
+  if (blocks) {
+    const blockSize = blocks.material.replace(/\s*blocks$/i, "");
+    const input = { area, blockSize, blockPrice: blocks.rate, ratio: headers.ratio, ...shared };
+    return {
+      calculator: "walling",
+      fields: { wallArea: area, blockSize, blockPrice: blocks.rate, mortaRatio: headers.ratio, ...sharedFields },
+      input,
+      result: { type: "walling", area, ratio: headers.ratio, constants: DEFAULT_CONSTANTS, items, ...summary }
+    };
+  }
+
+  if (headers.thickness) {
+    const thickness = parseFloat(headers.thickness);
+    const input = { area, thickness, ratio: headers.ratio, ...shared };
+    return {
+      calculator: "plaster",
+      fields: { plasterArea: area, plasterThickness: thickness, plasterRatio: headers.ratio, ...sharedFields },
+      input,
+      result: { type: "plaster", area, thickness, ratio: headers.ratio, constants: DEFAULT_CONSTANTS, items, ...summary }
+    };
+  }
+
+  return { error: "Area block with neither blocks nor a Thickness" };
+}
+
+// Parse the whole log. Each record carries an importKey that is stable across runs: a hash of
+// the block text plus how many identical blocks came before it, so re-imports can skip it.
+function parseMaterialsLog(text) {
+  const records = [];
+  const failures = [];
+  const seen = new Map();
+
+  for (const block of splitBlocks(text)) {
+    const body = block.lines.join("\n");
+    const occurrence = (seen.get(body) || 0) + 1;
+    seen.set(body, occurrence);
+
+    const headers = readHeaders(block.lines);
+    const lines = block.lines.filter((line) => !/^Email:/i.test(line));
+    const parsed = lines.length === 0
+      ? { error: "Email line with no calculation" }
+      : parseExcavation(lines) || parseMaterialsBlock(lines, headers);
+
+    if (parsed.error) {
+      failures.push({ line: block.line, reason: parsed.error, text: body });
+      continue;
+    }
+
+    records.push({
+      ...parsed,
+      email: headers.email ? headers.email.toLowerCase() : undefined,
+      line: block.line,
+      importKey: crypto.createHash("sha1").update(`${body}\n#${occurrence}`).digest("hex")
+    });
+  }
+
+  return { records, failures };
+}
+
+module.exports = { parseMaterialsLog };
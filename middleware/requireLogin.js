@@ -0,0 +1,9 @@
+// middleware/requireLogin.js - Send visitors without a verified session to the login page
+function requireLogin(req, res, next) {
+  if (!req.session.email || !req.session.verified) {
+    return res.redirect("/login");
+  }
+  next();
+}
+
+module.exports = requireLogin;
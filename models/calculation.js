@@ -0,0 +1,62 @@
+// models/calculation.js - A saved calculator run: what was entered, what came out and the constants used
+const mongoose = require("mongoose");
+const { calculators } = require("../calculators");
+
+// Form fields that describe the record rather than the calculation
+const RECORD_FIELDS = ["projectId", "calculationId", "label"];
+
+const calculationSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+    calculator: { type: String, enum: Object.keys(calculators), required: true },
+    label: { type: String, trim: true },
+    fields: { type: mongoose.Schema.Types.Mixed }, // as submitted, to re-open the form
+    input: { type: mongoose.Schema.Types.Mixed, required: true },
+    result: { type: mongoose.Schema.Types.Mixed, required: true },
+    constants: { type: mongoose.Schema.Types.Mixed },
+    importKey: { type: String } // set on records imported from the legacy materials.txt log
+  },
+  { timestamps: true }
+);
+
+calculationSchema.index({ project: 1, createdAt: 1 });
+calculationSchema.index({ email: 1, createdAt: -1 });
+calculationSchema.index({ importKey: 1 }, { unique: true, sparse: true });
+
+// Calculation by id if it belongs to the given user (and calculator, if given), otherwise null
+calculationSchema.statics.findOwned = async function (id, email, calculator) {
+  if (!id || !email || !mongoose.isValidObjectId(id)) return null;
+
+  const filter = { _id: id, email: email.toLowerCase() };
+  if (calculator) filter.calculator = calculator;
+  return this.findOne(filter);
+};
+
+// Save a calculator run, updating the user's record instead when one is being edited
+calculationSchema.statics.record = async function ({ email, body = {}, project, calculator, input, result }) {
+  if (!email) return null;
+
+  const fields = Object.fromEntries(
+    Object.entries(body).filter(([name]) => !RECORD_FIELDS.includes(name))
+  );
+  const data = {
+    email,
+    project: project ? project._id : undefined,
+    calculator,
+    label: typeof body.label === "string" && body.label.trim() ? body.label : undefined,
+    fields,
+    input,
+    result,
+    constants: result.constants
+  };
+
+  const existing = await this.findOwned(body.calculationId, email, calculator);
+  if (existing) {
+    existing.set(data);
+    return existing.save();
+  }
+  return this.create(data);
+};
+
+module.exports = mongoose.model("Calculation", calculationSchema);
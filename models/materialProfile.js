@@ -0,0 +1,49 @@
+// models/materialProfile.js - Material constants profiles (global, per-user and per-project)
+const mongoose = require("mongoose");
+const { DEFAULT_CONSTANTS, CONSTANT_FIELDS } = require("../calculators");
+
+// Every constant is optional: a blank value inherits from the profile below it
+const constantPaths = Object.fromEntries(
+  CONSTANT_FIELDS.map((field) => [field, { type: Number, min: 0 }])
+);
+
+const materialProfileSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    scope: { type: String, enum: ["global", "user", "project"], required: true },
+    email: { type: String, lowercase: true, trim: true }, // owner for user and project profiles
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+    ...constantPaths
+  },
+  { timestamps: true }
+);
+
+materialProfileSchema.index({ scope: 1, email: 1, project: 1 }, { unique: true });
+
+// Only the constants this profile actually overrides
+materialProfileSchema.methods.overrides = function () {
+  const overrides = {};
+  for (const field of CONSTANT_FIELDS) {
+    if (typeof this[field] === "number") overrides[field] = this[field];
+  }
+  return overrides;
+};
+
+// Layer defaults <- global <- user <- project and label the result with the profiles used.
+// The global profile is set with scripts/setGlobalConstants.js (npm run constants:global)
+materialProfileSchema.statics.resolveConstants = async function (email, projectId) {
+  const lookups = [this.findOne({ scope: "global" })];
+  if (email) lookups.push(this.findOne({ scope: "user", email: email.toLowerCase() }));
+  if (projectId) lookups.push(this.findOne({ scope: "project", project: projectId }));
+
+  const profiles = (await Promise.all(lookups)).filter(Boolean);
+  if (profiles.length === 0) return DEFAULT_CONSTANTS;
+
+  return Object.assign(
+    { ...DEFAULT_CONSTANTS },
+    ...profiles.map((profile) => profile.overrides()),
+    { profile: [DEFAULT_CONSTANTS.profile, ...profiles.map((profile) => profile.name)].join(" + ") }
+  );
+};
+
+module.exports = mongoose.model("MaterialProfile", materialProfileSchema);
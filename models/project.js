@@ -0,0 +1,21 @@
+// models/project.js - A job that groups calculations into one Bill of Quantities
+const mongoose = require("mongoose");
+
+const projectSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    client: { type: String, trim: true },
+    siteLocation: { type: String, trim: true },
+    date: { type: Date, default: Date.now },
+    email: { type: String, required: true, lowercase: true, trim: true } // owner
+  },
+  { timestamps: true }
+);
+
+// Project by id if it belongs to the given user, otherwise null
+projectSchema.statics.findOwned = async function (id, email) {
+  if (!id || !email || !mongoose.isValidObjectId(id)) return null;
+  return this.findOne({ _id: id, email: email.toLowerCase() });
+};
+
+module.exports = mongoose.model("Project", projectSchema);
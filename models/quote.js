@@ -0,0 +1,55 @@
+// models/quote.js - Numbered client quotations for a calculation or a project
+const mongoose = require("mongoose");
+
+// One counter per year so quote numbers run Q-2026-0001, Q-2026-0002, ...
+const quoteCounterSchema = new mongoose.Schema({
+  year: { type: Number, required: true, unique: true },
+  seq: { type: Number, default: 0 }
+});
+const QuoteCounter = mongoose.model("QuoteCounter", quoteCounterSchema);
+
+const quoteSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true },
+    email: { type: String, required: true, lowercase: true, trim: true }, // issued by
+    calculation: { type: mongoose.Schema.Types.ObjectId, ref: "Calculation" },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+    title: { type: String, trim: true },
+    client: {
+      name: { type: String, trim: true },
+      email: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      address: { type: String, trim: true }
+    },
+    validUntil: { type: Date, required: true },
+    boq: { type: mongoose.Schema.Types.Mixed, required: true }, // figures frozen when the quote was issued
+    emails: [
+      {
+        to: [{ type: String, trim: true }],
+        cc: { type: String, trim: true },
+        attachment: { type: String, enum: ["pdf", "csv", "both"] },
+        sentAt: { type: Date, default: Date.now }
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+// Next quote number for the current year
+quoteSchema.statics.nextNumber = async function () {
+  const year = new Date().getFullYear();
+  const counter = await QuoteCounter.findOneAndUpdate(
+    { year },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `Q-${year}-${String(counter.seq).padStart(4, "0")}`;
+};
+
+// Quote by id if it belongs to the given user, otherwise null
+quoteSchema.statics.findOwned = async function (id, email) {
+  if (!id || !email || !mongoose.isValidObjectId(id)) return null;
+  return this.findOne({ _id: id, email: email.toLowerCase() });
+};
+
+module.exports = mongoose.model("Quote", quoteSchema);
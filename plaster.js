@@ -1,13 +1,39 @@
 // plaster.js
 const express = require("express");
-const fs = require("fs");
+const { PLASTER_TYPES, OPENING_TYPES, calculatePlaster, readPlasterForm, describeResult } = require("./calculators");
+const {
+  invalidFieldsPage,
+  escapeHtml,
+  formValues,
+  rowInputs,
+  waterInputs,
+  waterNote,
+  recordFields,
+  savedNote
+} = require("./views/calculator");
+const MaterialProfile = require("./models/materialProfile");
+const Project = require("./models/project");
+const Calculation = require("./models/calculation");
 const router = express.Router();
 
 router.use(express.urlencoded({ extended: true }));
 router.use(express.static(__dirname));
 
 // GET plaster form
-router.get("/", (req, res) => {
+router.get("/", async (req, res) => {
+  const saved = await Calculation.findOwned(req.query.edit, req.session.email, "plaster");
+
+  // A new plaster estimate can start from the net area of a saved walling calculation
+  const walling = saved ? null : await Calculation.findOwned(req.query.walling, req.session.email, "walling");
+  const value = walling ? formValues({ fields: { plasterArea: walling.result.netArea } }) : formValues(saved);
+  const projectId = req.query.project || (walling && walling.project ? String(walling.project) : undefined);
+
+  // Older calculations had a single thickness and ratio; show them as one coat
+  const fields = saved ? saved.fields || {} : {};
+  const coats = saved && !fields.coats && fields.plasterThickness
+    ? { fields: { coats: [{ coat: "Single coat", thickness: fields.plasterThickness, ratio: fields.plasterRatio }] } }
+    : saved;
+
   res.send(`
     <html>
     <head>
@@ -17,22 +43,50 @@ router.get("/", (req, res) => {
       <h1>PLASTER MIX</h1>
       <a href="/">home</a>
       <form action="/plaster/submit" method="POST">
-        <label for="plasterArea">area in m²</label>
-        <input type="number" name="plasterArea" placeholder="Area in m²">
-        <label for="plasterThickness">Thickness in mm</label>
-        <input type="number" name="plasterThickness" placeholder="Thickness in mm">
-        <label for="plasterRatio">ratio</label>
-        <input type="text" name="plasterRatio" placeholder="1:3">
+        <label for="plasterType">plaster type</label>
+        <select name="plasterType">
+          ${Object.entries(PLASTER_TYPES).map(([type, plaster]) => `<option value="${type}"${fields.plasterType === type ? " selected" : ""}>${plaster.label}</option>`).join("")}
+        </select>
+        <label>rooms in m (blank if giving a wall area below)</label>
+        ${rowInputs(saved, "rooms", [
+          { key: "name", label: "Room", type: "text", placeholder: "Bedroom 1" },
+          { key: "perimeter", label: "Perimeter", placeholder: "14" },
+          { key: "height", label: "Height", placeholder: "2.7" },
+          { key: "ceiling", label: "Ceiling", options: { no: "No", yes: "Yes" } },
+          { key: "ceilingArea", label: "Ceiling m²", placeholder: "12" }
+        ], 4)}
+        <label for="plasterArea">and/or wall area in m² (one face)</label>
+        <input type="number" step="any" name="plasterArea" placeholder="Area in m²"${value("plasterArea")}>
+        <label>
+          <input type="checkbox" name="bothFaces" style="width:auto"${fields.bothFaces ? " checked" : ""}>
+          plaster both faces of the wall
+        </label>
+        <label>openings in m, counted on each plastered face (reveal depth from face to frame, blank for none)</label>
+        ${rowInputs(saved, "openings", [
+          { key: "type", label: "Opening", options: OPENING_TYPES },
+          { key: "width", label: "Width", placeholder: "0.9" },
+          { key: "height", label: "Height", placeholder: "2.1" },
+          { key: "count", label: "Count", placeholder: "1" },
+          { key: "revealDepth", label: "Reveal depth", placeholder: "0.1" }
+        ])}
+        <label>coats, thickness in mm (blank for the usual coats: ${Object.values(PLASTER_TYPES).map((plaster) => `${plaster.label.toLowerCase()} ${plaster.coats.map((coat) => `${coat.thickness} mm ${coat.ratio}`).join(" + ")}`).join("; ")})</label>
+        ${rowInputs(coats, "coats", [
+          { key: "coat", label: "Coat", type: "text", placeholder: "Scratch coat" },
+          { key: "thickness", label: "Thickness", placeholder: "12" },
+          { key: "ratio", label: "Ratio", type: "text", placeholder: "1:3" }
+        ])}
         <label for="cement">cement description</label>
-        <input type="text" name="cement" placeholder="bamburi cement">
+        <input type="text" name="cement" placeholder="bamburi cement"${value("cement")}>
         <label for="cementPrice">price of cement per bag</label>
-        <input type="number" name="cementPrice" placeholder="850">
+        <input type="number" name="cementPrice" placeholder="850"${value("cementPrice")}>
         <label for="sand">sand description</label>
-        <input type="text" name="sand" placeholder="River Sand">
+        <input type="text" name="sand" placeholder="River Sand"${value("sand")}>
         <label for="sandPrice">price of sand per ton</label>
-        <input type="number" name="sandPrice" placeholder="1350">
+        <input type="number" name="sandPrice" placeholder="1350"${value("sandPrice")}>
+        ${waterInputs(saved, "mortar")}
         <label for="laborPrice">labor percentage of materials</label>
-        <input type="number" name="laborPrice" placeholder="40">
+        <input type="number" name="laborPrice" placeholder="40"${value("laborPrice")}>
+        ${recordFields(projectId, saved)}
         <input type="submit">
       </form>
     </body>
@@ -41,73 +95,82 @@ router.get("/", (req, res) => {
 });
 
 // POST plaster results
-router.post("/submit", (req, res) => {
-  const {
-    plasterArea,
-    plasterThickness,
-    plasterRatio,
-    cement,
-    cementPrice,
-    sand,
-    sandPrice,
-    laborPrice,
-  } = req.body;
-
-  let area = parseFloat(plasterArea);
-  let thickness = parseFloat(plasterThickness) / 1000;
-  let volume = area * thickness;
-  let cemPrice = parseFloat(cementPrice);
-  let sanPrice = parseFloat(sandPrice);
-  let labor = parseFloat(laborPrice);
-
-  let dryVol = volume * 1.33;
-  let ratios = plasterRatio.split(":");
-  let cemPro = parseFloat(ratios[0]);
-  let sanPro = parseFloat(ratios[1]);
-  let comSum = cemPro + sanPro;
-  let cemVol = (cemPro * dryVol) / comSum;
-  let sanVol = (sanPro * dryVol) / comSum;
+router.post("/submit", async (req, res) => {
+  const { input, errors } = readPlasterForm(req.body);
 
-  let cemWeight = cemVol * 1448;
-  let sanWeight = sanVol * 1600;
+  if (errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(errors, "/plaster"));
+  }
 
-  let cemQty = Math.ceil(cemWeight / 50);
-  let sanQty = Math.ceil(sanWeight / 1000);
+  const project = await Project.findOwned(req.body.projectId, req.session.email);
+  const result = calculatePlaster(input, await MaterialProfile.resolveConstants(req.session.email, project?._id));
 
-  let cemCost = cemPrice * cemQty;
-  let sanCost = sanPrice * sanQty;
-
-  let conMatCost = cemCost + sanCost;
-  let labCost = (labor * conMatCost) / 100;
-  let conCost = conMatCost + labCost;
-  let cemdes = `${cement} ... ${cemQty} ... bags ... ${cemPrice} ... ${cemCost}`;
-  let sandes = `${sand} ... ${sanQty} ... tons ... ${sanPrice} ... ${sanCost}`;
-  let matdes = `materials ... ${conMatCost}`;
-  let labdes = `labor ... ${labCost}`;
-  let condes = `subtotal ... ${conCost}`;
-  let dataToSave = `Area: ${plasterArea} m² ... Thickness: ${plasterThickness}mm\nRatio: ${plasterRatio}\nMaterials:\n${cemdes}\n${sandes}\n${matdes}\n${labdes}\n${condes}\n\n\n`;
-
-  fs.appendFile("materials.txt", dataToSave, (err) => {
-    if (err) console.error("Error writing to file:", err);
-    else console.log("plaster data saved to materials.txt");
+  const calculation = await Calculation.record({
+    email: req.session.email,
+    body: req.body,
+    project,
+    calculator: "plaster",
+    input,
+    result
   });
 
+  let lines = describeResult(result);
+
   res.send(`
     <html>
     <head><link rel="stylesheet" href="/styles.css"></head>
     <body>
       <h1>PLASTER DATA</h1>
-      <p>volume:${plasterArea}m² thickness: ${plasterThickness}mm</p>
-      <p>ratio:${plasterRatio}</p>
+      <p>${PLASTER_TYPES[result.plasterType].label}</p>
+      ${result.area ? `<p>Wall area: ${result.area} m²${result.faces === 2 ? " x 2 faces" : ""}</p>` : ""}
+      ${result.rooms && result.rooms.length > 0 ? `
+      <table class="boq">
+        <thead>
+          <tr><th>Room</th><th>Perimeter m</th><th>Height m</th><th>Walls m²</th><th>Ceiling m²</th></tr>
+        </thead>
+        <tbody>
+          ${result.rooms.map((room) => `
+          <tr>
+            <td>${room.name ? escapeHtml(room.name) : ""}</td>
+            <td>${room.perimeter}</td>
+            <td>${room.height}</td>
+            <td>${room.wallArea}</td>
+            <td>${room.ceilingArea || "-"}</td>
+          </tr>`).join("")}
+        </tbody>
+      </table>` : ""}
+      ${result.openings && result.openings.length > 0 ? `
+      <p>Openings:</p>
+      <ul>
+        ${result.openings.map((opening) => `<li>${OPENING_TYPES[opening.type]} ${opening.width} x ${opening.height} m x ${opening.count} ... ${opening.area} m²${opening.revealDepth ? `, reveals ${opening.reveals} m², soffits ${opening.soffits} m²` : ""}</li>`).join("")}
+      </ul>` : ""}
+      ${result.wallArea !== undefined ? `
+      <p>Walls: ${result.wallArea} m², ceilings: ${result.ceilingArea} m², openings: -${result.deductions} m², reveals and soffits: +${result.returns} m²</p>` : ""}
+      <p>Plastered area: ${result.plasteredArea} m²</p>
+      <table class="boq">
+        <thead>
+          <tr><th>Coat</th><th>Thickness mm</th><th>Ratio</th><th>Volume m³</th><th>Cement bags</th><th>Sand tons</th></tr>
+        </thead>
+        <tbody>
+          ${result.coats.map((coat) => `
+          <tr>
+            <td>${escapeHtml(coat.coat)}</td>
+            <td>${coat.thickness}</td>
+            <td>${coat.ratio}</td>
+            <td>${coat.volume}</td>
+            <td>${coat.cement}</td>
+            <td>${coat.sand}</td>
+          </tr>`).join("")}
+        </tbody>
+      </table>
+      <p>Totals are rounded up to whole bags and tons.</p>
+      ${waterNote(result.water)}
+      <p>Constants profile: ${escapeHtml(result.constants.profile)}</p>
       <h2>Materials</h2>
       <ul>
-        <li>${cemdes}</li>
-        <li>${sandes}</li>
-        <li>${matdes}</li>
-        <li>${labdes}</li>
-        <li>${condes}</li>
+        ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}
       </ul>
-      <p>plaster data saved in materials.txt</p>
+      ${savedNote(calculation, project)}
       <a href="/">go back</a>
     </body>
     </html>
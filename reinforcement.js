@@ -0,0 +1,152 @@
+const express = require("express");
+const {
+  BAR_DIAMETERS,
+  SHAPE_CODES,
+  STEEL_PRICE_BASES,
+  DEFAULT_LAP_DIAMETERS,
+  calculateReinforcement,
+  readReinforcementForm,
+  describeResult
+} = require("./calculators");
+const { invalidFieldsPage, escapeHtml, formValues, rowInputs, recordFields, savedNote } = require("./views/calculator");
+const MaterialProfile = require("./models/materialProfile");
+const Project = require("./models/project");
+const Calculation = require("./models/calculation");
+const router = express.Router();
+
+// ================= FORM ROUTE =================
+router.get("/", async (req, res) => {
+  const saved = await Calculation.findOwned(req.query.edit, req.session.email, "reinforcement");
+  const value = formValues(saved);
+  const priceBasis = saved?.fields?.priceBasis || "bar";
+
+  res.send(`
+  <html>
+    <head>
+      <link rel="stylesheet" href="/styles.css">
+    </head>
+    <body>
+      <h1>REINFORCEMENT STEEL</h1>
+      <form action="/reinforcement/submit" method="POST">
+        <label>Bar schedule (cut length of one bar in m)</label>
+        ${rowInputs(saved, "marks", [
+          { key: "mark", label: "Bar mark", type: "text", placeholder: "01" },
+          { key: "diameter", label: "Diameter", options: Object.fromEntries(Object.keys(BAR_DIAMETERS).map((diameter) => [diameter, `Y${diameter}`])) },
+          { key: "shape", label: "Shape code", options: Object.keys(SHAPE_CODES).sort().map((code) => [code, `${code} ${SHAPE_CODES[code]}`]) },
+          { key: "cutLength", label: "Cut length", placeholder: "3.6" },
+          { key: "count", label: "Count", placeholder: "20" }
+        ], 5)}
+
+        <label for="priceBasis">Steel priced</label>
+        <select name="priceBasis">
+          ${Object.entries(STEEL_PRICE_BASES).map(([basis, label]) => `<option value="${basis}"${priceBasis === basis ? " selected" : ""}>${label}</option>`).join("")}
+        </select>
+
+        <label>Steel prices (only the diameters in the schedule are needed)</label>
+        ${Object.keys(BAR_DIAMETERS).map((diameter) => `
+        <label for="priceY${diameter}">Y${diameter}</label>
+        <input type="number" step="any" name="priceY${diameter}"${value(`priceY${diameter}`)}>`).join("")}
+
+        <label for="lapDiameters">Lap length in bar diameters, for bars longer than 12 m (blank for ${DEFAULT_LAP_DIAMETERS})</label>
+        <input type="number" step="any" name="lapDiameters" placeholder="${DEFAULT_LAP_DIAMETERS}"${value("lapDiameters")}>
+
+        <label for="bindingWire">Binding wire in kg per tonne of steel (blank for 10)</label>
+        <input type="number" step="any" name="bindingWire" placeholder="10"${value("bindingWire")}>
+
+        <label for="bindingWirePrice">Price of binding wire per kg</label>
+        <input type="number" name="bindingWirePrice" placeholder="250"${value("bindingWirePrice")} required>
+
+        <label for="laborPrice">Labor percentage of materials</label>
+        <input type="number" name="laborPrice" placeholder="20"${value("laborPrice")} required>
+
+        ${recordFields(req.query.project, saved)}
+        <input type="submit" value="Calculate">
+      </form>
+    </body>
+  </html>
+  `);
+});
+
+// ================= SUBMIT ROUTE =================
+router.post("/submit", async (req, res) => {
+  const { input, errors } = readReinforcementForm(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(errors, "/reinforcement"));
+  }
+
+  const project = await Project.findOwned(req.body.projectId, req.session.email);
+  const result = calculateReinforcement(input, await MaterialProfile.resolveConstants(req.session.email, project?._id));
+
+  const calculation = await Calculation.record({
+    email: req.session.email,
+    body: req.body,
+    project,
+    calculator: "reinforcement",
+    input,
+    result
+  });
+
+  // Descriptions
+  let lines = describeResult(result);
+
+  // Send response
+  res.send(`
+    <html>
+      <head>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <h1>REINFORCEMENT STEEL DATA</h1>
+        <table class="boq">
+          <thead>
+            <tr><th>Bar mark</th><th>Bar</th><th>Shape</th><th>Cut length m</th><th>Count</th><th>Laps m</th><th>Length m</th><th>Weight kg</th></tr>
+          </thead>
+          <tbody>
+            ${result.marks.map((mark) => `
+            <tr>
+              <td>${mark.mark ? escapeHtml(mark.mark) : ""}</td>
+              <td>Y${mark.diameter}</td>
+              <td>${mark.shape} ${SHAPE_CODES[mark.shape]}</td>
+              <td>${mark.cutLength}</td>
+              <td>${mark.count}</td>
+              <td>${mark.laps || 0}</td>
+              <td>${mark.length}</td>
+              <td>${mark.weight}</td>
+            </tr>`).join("")}
+          </tbody>
+        </table>
+        <h2>By diameter</h2>
+        <table class="boq">
+          <thead>
+            <tr><th>Bar</th><th>Length m</th><th>Weight kg</th><th>12 m bars</th><th>Ordered kg</th></tr>
+          </thead>
+          <tbody>
+            ${result.diameters.map((size) => `
+            <tr>
+              <td>Y${size.diameter}</td>
+              <td>${size.length}</td>
+              <td>${size.weight}</td>
+              <td>${size.bars}</td>
+              <td>${size.orderedWeight}</td>
+            </tr>`).join("")}
+          </tbody>
+        </table>
+        <p>Total steel: ${result.totalWeight} kg</p>
+        ${result.marks.some((mark) => mark.laps) ? `<p>Laps at ${result.lapDiameters} bar diameters on bars longer than 12 m</p>` : ""}
+        <p>Binding wire: ${result.bindingWire} kg</p>
+        <p>Steel priced ${STEEL_PRICE_BASES[result.priceBasis]}</p>
+        <p>Constants profile: ${escapeHtml(result.constants.profile)}</p>
+        <h2>Materials</h2>
+        <ul>
+          ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}
+        </ul>
+        ${savedNote(calculation, project)}
+        <a href="/reinforcement">Go Back</a>
+      </body>
+    </html>
+  `);
+});
+
+// ✅ Export router
+module.exports = router;
@@ -0,0 +1,62 @@
+// routes/api.js - Versioned JSON API for the calculators
+const express = require("express");
+const { calculators } = require("../calculators");
+const MaterialProfile = require("../models/materialProfile");
+const Project = require("../models/project");
+const Calculation = require("../models/calculation");
+const router = express.Router();
+
+// @route   GET /api/v1
+// @desc    List the available calculators
+router.get("/", (req, res) => {
+  res.json({ calculators: Object.keys(calculators) });
+});
+
+// @route   POST /api/v1/:calculator
+// @desc    Run a calculator, save it to the user's history (and projectId's BOQ) and return the full breakdown
+router.post("/:calculator", async (req, res) => {
+  const calculator = Object.hasOwn(calculators, req.params.calculator) ? calculators[req.params.calculator] : null;
+
+  if (!calculator) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown calculator: ${req.params.calculator}`
+    });
+  }
+
+  const { input, errors } = calculator.read(req.body || {});
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid fields",
+      fields: errors
+    });
+  }
+
+  try {
+    const project = await Project.findOwned(req.body.projectId, req.session.email);
+    const constants = await MaterialProfile.resolveConstants(req.session.email, project?._id);
+    const result = calculator.calculate(input, constants);
+    const calculation = await Calculation.record({
+      email: req.session.email,
+      body: req.body,
+      project,
+      calculator: req.params.calculator,
+      input,
+      result
+    });
+
+    res.json({
+      success: true,
+      project: project ? project._id : undefined,
+      calculationId: calculation ? calculation._id : undefined,
+      result
+    });
+  } catch (error) {
+    console.error("Calculation API error:", error);
+    res.status(500).json({ success: false, error: "Calculation failed" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+// routes/history.js - "My calculations": the user's saved calculator runs
+const express = require("express");
+const Calculation = require("../models/calculation");
+const { calculators, TRADES, buildBoq } = require("../calculators");
+const { escapeHtml } = require("../views/calculator");
+const { money, resultTable } = require("../views/boq");
+const { sendBoqExport } = require("../documents/spreadsheet");
+const router = express.Router();
+
+const PAGE_SIZE = 25;
+
+// Heading for a calculator type, e.g. "Concrete Works"
+function calculatorTitle(calculator) {
+  const trade = TRADES.find((entry) => entry.calculator === calculator);
+  return trade ? trade.title : calculator;
+}
+
+// @route   GET /history
+// @desc    List, search and filter the user's calculations
+router.get("/", async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  const calculator = Object.hasOwn(calculators, req.query.calculator) ? req.query.calculator : "";
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  const filter = { email: req.session.email.toLowerCase() };
+  if (calculator) filter.calculator = calculator;
+  if (q) {
+    const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    filter.$or = [{ label: pattern }, { "result.items.material": pattern }];
+  }
+
+  const [calculations, total] = await Promise.all([
+    Calculation.find(filter).sort({ createdAt: -1 }).skip((page - 1) * PAGE_SIZE).limit(PAGE_SIZE),
+    Calculation.countDocuments(filter)
+  ]);
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const pageLink = (number) => `/history?${new URLSearchParams({ q, calculator, page: number })}`;
+
+  res.send(`
+    <html>
+      <head>
+        <title>My Calculations - Construction Calculator</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <div class="container">
+          <h1>MY CALCULATIONS</h1>
+          <form action="/history" method="GET">
+            <input type="text" name="q" placeholder="Search descriptions and materials" value="${escapeHtml(q)}">
+            <select name="calculator">
+              <option value="">All calculators</option>
+              ${Object.keys(calculators).map((type) => `<option value="${type}"${type === calculator ? " selected" : ""}>${calculatorTitle(type)}</option>`).join("")}
+            </select>
+            <input type="submit" value="Search">
+          </form>
+
+          <table class="boq">
+            <thead>
+              <tr><th>Date</th><th>Calculator</th><th>Description</th><th>Subtotal</th><th></th></tr>
+            </thead>
+            <tbody>
+              ${calculations.map((calculation) => `
+              <tr>
+                <td>${calculation.createdAt.toLocaleString()}</td>
+                <td>${calculatorTitle(calculation.calculator)}</td>
+                <td>${escapeHtml(calculation.label || "-")}${calculation.project ? " 📁" : ""}</td>
+                <td>${money(calculation.result.subtotal)}</td>
+                <td>
+                  <a href="/history/${calculation._id}">Open</a> |
+                  <a href="/${calculation.calculator}?edit=${calculation._id}">Edit</a>
+                </td>
+              </tr>`).join("") || `<tr><td colspan="5">No calculations found</td></tr>`}
+            </tbody>
+          </table>
+
+          <p>
+            ${page > 1 ? `<a href="${pageLink(page - 1)}">« Newer</a>` : ""}
+            Page ${page} of ${pages}
+            ${page < pages ? `<a href="${pageLink(page + 1)}">Older »</a>` : ""}
+          </p>
+          <a href="/">Go Back</a>
+        </div>
+      </body>
+    </html>
+  `);
+});
+
+// @route   GET /history/:id
+// @desc    Show one saved calculation
+router.get("/:id", async (req, res, next) => {
+  const calculation = await Calculation.findOwned(req.params.id, req.session.email);
+  if (!calculation) return next();
+
+  res.send(`
+    <html>
+      <head>
+        <title>${calculatorTitle(calculation.calculator)} - My Calculations</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <div class="container">
+          <h1>${escapeHtml(calculation.label || calculatorTitle(calculation.calculator))}</h1>
+          <p><strong>Calculator:</strong> ${calculatorTitle(calculation.calculator)}</p>
+          <p><strong>Saved:</strong> ${calculation.updatedAt.toLocaleString()}</p>
+          ${calculation.result.grade ? `<p><strong>Grade:</strong> ${calculation.result.grade} (${calculation.result.ratio})</p>` : ""}
+          <p><strong>Constants profile:</strong> ${calculation.constants ? escapeHtml(calculation.constants.profile) : "-"}</p>
+          ${calculation.project ? `<p><a href="/projects/${calculation.project}">📁 Open project</a></p>` : ""}
+          ${resultTable(calculation.result)}
+          <a href="/${calculation.calculator}?edit=${calculation._id}" class="btn">Edit</a>
+          <a href="/quotes/new?calculation=${calculation._id}" class="btn">📄 Quotation</a>
+          <a href="/quotes/new?calculation=${calculation._id}&send=1" class="btn">✉️ Send to client</a>
+          <a href="/history/${calculation._id}/export.csv" class="btn">⬇️ CSV</a>
+          <a href="/history/${calculation._id}/export.xlsx" class="btn">⬇️ Excel</a>
+          <form action="/history/${calculation._id}/delete" method="POST" style="display:inline">
+            <button type="submit" class="btn btn-secondary">Delete</button>
+          </form>
+          <a href="/history">All Calculations</a>
+        </div>
+      </body>
+    </html>
+  `);
+});
+
+// @route   GET /history/:id/export.csv or /history/:id/export.xlsx
+// @desc    Download the calculation's line items as a spreadsheet
+router.get("/:id/export.:format", async (req, res, next) => {
+  const calculation = await Calculation.findOwned(req.params.id, req.session.email);
+  if (!calculation) return next();
+
+  const title = calculation.label || calculatorTitle(calculation.calculator);
+  if (!(await sendBoqExport(res, req.params.format, buildBoq([calculation]), title))) next();
+});
+
+// @route   POST /history/:id/delete
+// @desc    Delete a saved calculation
+router.post("/:id/delete", async (req, res, next) => {
+  const calculation = await Calculation.findOwned(req.params.id, req.session.email);
+  if (!calculation) return next();
+
+  await calculation.deleteOne();
+  res.redirect("/history");
+});
+
+module.exports = router;
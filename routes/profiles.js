@@ -0,0 +1,118 @@
+// routes/profiles.js - Manage the material constants profiles used by the calculators
+const express = require("express");
+const MaterialProfile = require("../models/materialProfile");
+const Project = require("../models/project");
+const { DEFAULT_CONSTANTS, CONSTANT_FIELDS, createReader } = require("../calculators");
+const { invalidFieldsPage, escapeHtml } = require("../views/calculator");
+const router = express.Router();
+
+const CONSTANT_LABELS = {
+  cementDensity: "Cement density (kg/m³)",
+  sandDensity: "Sand / quarry dust density (kg/m³)",
+  ballastDensity: "Ballast density (kg/m³)",
+  concreteDryFactor: "Concrete dry volume factor",
+  mortarDryFactor: "Mortar and plaster dry volume factor",
+  bagKg: "Cement bag size (kg)",
+  tonKg: "Ton (kg)"
+};
+
+// The profile being edited: a project's when ?project= names one of the user's projects, else the user's own
+async function profileTarget(req) {
+  const email = req.session.email.toLowerCase();
+  const project = await Project.findOwned(req.query.project, email);
+
+  if (project) {
+    return {
+      email,
+      project,
+      filter: { scope: "project", project: project._id },
+      href: `/profiles?project=${project._id}`
+    };
+  }
+  return { email, project: null, filter: { scope: "user", email }, href: "/profiles" };
+}
+
+// @route   GET /profiles
+// @desc    Show the effective constants and the user's (or project's) overrides
+router.get("/", async (req, res) => {
+  const target = await profileTarget(req);
+  const [profile, effective] = await Promise.all([
+    MaterialProfile.findOne(target.filter),
+    MaterialProfile.resolveConstants(target.email, target.project?._id)
+  ]);
+
+  const rows = CONSTANT_FIELDS.map((field) => `
+    <label for="${field}">${CONSTANT_LABELS[field]}</label>
+    <input type="number" step="any" name="${field}" value="${profile && typeof profile[field] === "number" ? profile[field] : ""}" placeholder="${effective[field]}">
+  `).join("");
+
+  res.send(`
+    <html>
+      <head>
+        <title>Material Constants - Construction Calculator</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <h1>MATERIAL CONSTANTS</h1>
+        ${target.project ? `<p>Project: <a href="/projects/${target.project._id}">${escapeHtml(target.project.name)}</a></p>` : ""}
+        <p>Profile in use: ${escapeHtml(effective.profile)}</p>
+        <p>Leave a field blank to inherit the value shown in grey.</p>
+        <form action="${target.href}" method="POST">
+          <label for="name">Profile name</label>
+          <input type="text" name="name" value="${profile ? escapeHtml(profile.name) : ""}" placeholder="My constants" required>
+          ${rows}
+          <input type="submit" value="Save profile">
+        </form>
+        ${profile ? `
+        <form action="/profiles/delete${target.project ? `?project=${target.project._id}` : ""}" method="POST">
+          <input type="submit" value="Reset to ${DEFAULT_CONSTANTS.profile}">
+        </form>` : ""}
+        <a href="${target.project ? `/projects/${target.project._id}` : "/"}">Go Back</a>
+      </body>
+    </html>
+  `);
+});
+
+// @route   POST /profiles
+// @desc    Save the user's (or project's) constants profile
+router.post("/", async (req, res) => {
+  const target = await profileTarget(req);
+  const field = createReader(req.body);
+  const name = field.text("name");
+  const constants = {};
+
+  for (const key of CONSTANT_FIELDS) {
+    constants[key] = field.number(key, { positive: true, optional: true });
+  }
+
+  if (field.errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(field.errors, target.href));
+  }
+
+  const update = { $set: { name, email: target.email } };
+
+  // Blank fields are removed so they inherit again
+  for (const key of CONSTANT_FIELDS) {
+    if (constants[key] === undefined) {
+      update.$unset = { ...update.$unset, [key]: "" };
+    } else {
+      update.$set[key] = constants[key];
+    }
+  }
+
+  await MaterialProfile.findOneAndUpdate(target.filter, update, { upsert: true, new: true });
+
+  console.log(`✅ Material profile "${name}" saved for: ${target.email}`);
+  res.redirect(target.href);
+});
+
+// @route   POST /profiles/delete
+// @desc    Remove the user's (or project's) profile and fall back to the inherited constants
+router.post("/delete", async (req, res) => {
+  const target = await profileTarget(req);
+
+  await MaterialProfile.deleteOne(target.filter);
+  res.redirect(target.href);
+});
+
+module.exports = router;
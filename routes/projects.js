@@ -0,0 +1,167 @@
+// routes/projects.js - Projects that roll calculations up into a Bill of Quantities
+const express = require("express");
+const mongoose = require("mongoose");
+const Project = require("../models/project");
+const Calculation = require("../models/calculation");
+const { TRADES, buildBoq, createReader } = require("../calculators");
+const { invalidFieldsPage, escapeHtml } = require("../views/calculator");
+const { boqTable } = require("../views/boq");
+const { sendBoqExport } = require("../documents/spreadsheet");
+const router = express.Router();
+
+// Read project details from the form
+function readProjectForm(body) {
+  const field = createReader(body);
+  const details = {
+    name: field.text("name"),
+    client: typeof body.client === "string" ? body.client.trim() : "",
+    siteLocation: typeof body.siteLocation === "string" ? body.siteLocation.trim() : ""
+  };
+
+  if (body.date) {
+    details.date = new Date(body.date);
+    if (isNaN(details.date)) field.fail("date", "must be a valid date");
+  }
+
+  return { details, errors: field.errors };
+}
+
+// @route   GET /projects
+// @desc    List the user's projects
+router.get("/", async (req, res) => {
+  const projects = await Project.find({ email: req.session.email.toLowerCase() }).sort({ date: -1 });
+
+  res.send(`
+    <html>
+      <head>
+        <title>Projects - Construction Calculator</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <h1>PROJECTS</h1>
+        <ul>
+          ${projects.map((project) => `
+          <li><a href="/projects/${project._id}">${escapeHtml(project.name)}</a> ${project.client ? `- ${escapeHtml(project.client)}` : ""} (${project.date.toDateString()})</li>`).join("") || "<li>No projects yet</li>"}
+        </ul>
+        <h2>New Project</h2>
+        <form action="/projects" method="POST">
+          <label for="name">Project name</label>
+          <input type="text" name="name" placeholder="3 bedroom bungalow" required>
+
+          <label for="client">Client</label>
+          <input type="text" name="client" placeholder="Client name">
+
+          <label for="siteLocation">Site location</label>
+          <input type="text" name="siteLocation" placeholder="Kitengela">
+
+          <label for="date">Date</label>
+          <input type="date" name="date">
+
+          <input type="submit" value="Create Project">
+        </form>
+        <a href="/">Go Back</a>
+      </body>
+    </html>
+  `);
+});
+
+// @route   POST /projects
+// @desc    Create a project
+router.post("/", async (req, res) => {
+  const { details, errors } = readProjectForm(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(errors, "/projects"));
+  }
+
+  const project = await Project.create({ ...details, email: req.session.email });
+  console.log(`✅ Project created: ${project.name} for ${project.email}`);
+  res.redirect(`/projects/${project._id}`);
+});
+
+// @route   GET /projects/:id
+// @desc    Project Bill of Quantities
+router.get("/:id", async (req, res, next) => {
+  const project = await Project.findOwned(req.params.id, req.session.email);
+  if (!project) return next();
+
+  const elements = await Calculation.find({ project: project._id }).sort({ createdAt: 1 });
+  const boq = buildBoq(elements);
+
+  const removeButton = (element) => `
+            <form action="/projects/${project._id}/elements/${element._id}/delete" method="POST" style="display:inline">
+              <button type="submit">Remove</button>
+            </form>`;
+
+  res.send(`
+    <html>
+      <head>
+        <title>${escapeHtml(project.name)} - Bill of Quantities</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <div class="container">
+          <h1>${escapeHtml(project.name)}</h1>
+          <p><strong>Client:</strong> ${escapeHtml(project.client || "-")}</p>
+          <p><strong>Site:</strong> ${escapeHtml(project.siteLocation || "-")}</p>
+          <p><strong>Date:</strong> ${project.date.toDateString()}</p>
+
+          <h3>Add Element</h3>
+          <ul>
+            ${TRADES.map((trade) => `<li><a href="/${trade.calculator}?project=${project._id}">${trade.title}</a></li>`).join("")}
+          </ul>
+          <p><a href="/profiles?project=${project._id}">⚙️ Project material constants</a></p>
+
+          <h2>Bill of Quantities</h2>
+          ${boqTable(boq, removeButton)}
+          ${boq.trades.length > 0 ? `
+          <p>
+            <a href="/quotes/new?project=${project._id}" class="btn">📄 Create quotation (PDF)</a>
+            <a href="/quotes/new?project=${project._id}&send=1" class="btn">✉️ Send to client</a>
+            <a href="/projects/${project._id}/export.csv" class="btn">⬇️ CSV</a>
+            <a href="/projects/${project._id}/export.xlsx" class="btn">⬇️ Excel</a>
+          </p>` : ""}
+
+          <form action="/projects/${project._id}/delete" method="POST">
+            <button type="submit" class="btn btn-secondary">Delete Project</button>
+          </form>
+          <a href="/projects">All Projects</a>
+        </div>
+      </body>
+    </html>
+  `);
+});
+
+// @route   GET /projects/:id/export.csv or /projects/:id/export.xlsx
+// @desc    Download the project Bill of Quantities as a spreadsheet
+router.get("/:id/export.:format", async (req, res, next) => {
+  const project = await Project.findOwned(req.params.id, req.session.email);
+  if (!project) return next();
+
+  const elements = await Calculation.find({ project: project._id }).sort({ createdAt: 1 });
+  if (!(await sendBoqExport(res, req.params.format, buildBoq(elements), project.name))) next();
+});
+
+// @route   POST /projects/:id/elements/:elementId/delete
+// @desc    Remove a calculation from the project (it stays in the user's history)
+router.post("/:id/elements/:elementId/delete", async (req, res, next) => {
+  const project = await Project.findOwned(req.params.id, req.session.email);
+  if (!project || !mongoose.isValidObjectId(req.params.elementId)) return next();
+
+  await Calculation.updateOne({ _id: req.params.elementId, project: project._id }, { $unset: { project: "" } });
+  res.redirect(`/projects/${project._id}`);
+});
+
+// @route   POST /projects/:id/delete
+// @desc    Delete a project; its calculations stay in the user's history
+router.post("/:id/delete", async (req, res, next) => {
+  const project = await Project.findOwned(req.params.id, req.session.email);
+  if (!project) return next();
+
+  await Calculation.updateMany({ project: project._id }, { $unset: { project: "" } });
+  await project.deleteOne();
+  console.log(`🗑️ Project deleted: ${project.name}`);
+  res.redirect("/projects");
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+// routes/quotes.js - Client quotations for a calculation or a project, with PDF download
+const express = require("express");
+const Quote = require("../models/quote");
+const Project = require("../models/project");
+const Calculation = require("../models/calculation");
+const { buildBoq, createReader } = require("../calculators");
+const { invalidFieldsPage, escapeHtml } = require("../views/calculator");
+const { money, boqTable } = require("../views/boq");
+const { quoteValidityDays } = require("../documents/company");
+const { renderQuotePdf } = require("../documents/quotePdf");
+const { ATTACHMENTS, buildQuoteEmail } = require("../documents/quoteEmail");
+const { emailTransporter, EMAIL_FROM } = require("../services/mailer");
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Title and BOQ elements for ?calculation= or ?project=, if the user owns it
+async function loadSource(ids, email) {
+  if (ids.project) {
+    const project = await Project.findOwned(ids.project, email);
+    if (!project) return null;
+
+    const calculations = await Calculation.find({ project: project._id }).sort({ createdAt: 1 });
+    return {
+      project,
+      title: project.name,
+      client: { name: project.client, address: project.siteLocation },
+      elements: calculations
+    };
+  }
+
+  const calculation = await Calculation.findOwned(ids.calculation, email);
+  if (!calculation) return null;
+
+  return {
+    calculation,
+    title: calculation.label || `${calculation.calculator} estimate`,
+    client: {},
+    elements: [calculation]
+  };
+}
+
+// Plain copy of the BOQ so the quote keeps its figures if the calculations change later
+function freezeBoq(elements) {
+  return buildBoq(elements.map((element) => ({
+    calculator: element.calculator,
+    label: element.label,
+    result: element.result
+  })));
+}
+
+// Recipients (comma separated) and attachment choice from a send form
+function readEmailFields(field, body, { required = false } = {}) {
+  const raw = typeof body.recipients === "string" ? body.recipients : "";
+  const to = raw.split(/[,;\s]+/).filter(Boolean);
+
+  if (required && to.length === 0) {
+    field.fail("recipients", "is required");
+  } else if (to.some((address) => !EMAIL_PATTERN.test(address))) {
+    field.fail("recipients", "must be email addresses separated by commas");
+  }
+  return { to, attachment: ATTACHMENTS[body.attachment] ? body.attachment : "pdf" };
+}
+
+// Email the quotation to the recipients, copy the sender, and log the send on the quote
+async function emailQuote(quote, { to, attachment }, cc) {
+  if (!emailTransporter) throw new Error("Email service not configured");
+
+  const email = await buildQuoteEmail(quote, attachment);
+  await emailTransporter.sendMail({ from: EMAIL_FROM, to, cc, replyTo: cc, ...email });
+
+  quote.emails.push({ to, cc, attachment, sentAt: new Date() });
+  await quote.save();
+  console.log(`✅ Quotation ${quote.number} emailed to ${to.join(", ")}`);
+}
+
+// Recipients and attachment inputs shared by the new-quote and send forms
+function emailInputs(recipients, required) {
+  return `
+          <label for="recipients">Email to${required ? "" : " (optional)"}</label>
+          <input type="text" name="recipients" value="${escapeHtml(recipients)}" placeholder="client@example.com, architect@example.com"${required ? " required" : ""}>
+
+          <label for="attachment">Attach</label>
+          <select name="attachment">
+            <option value="pdf">PDF quotation</option>
+            <option value="csv">CSV breakdown</option>
+            <option value="both">PDF and CSV</option>
+          </select>`;
+}
+
+// Outcome of the last send, from the ?email= flag on the redirect
+function emailStatus(status) {
+  if (status === "sent") return `<p class="success">✅ Quotation emailed.</p>`;
+  if (status === "failed") return `<p class="error">❌ The email could not be sent. Check the email settings and try again.</p>`;
+  return "";
+}
+
+// @route   GET /quotes
+// @desc    List the user's quotations
+router.get("/", async (req, res) => {
+  const quotes = await Quote.find({ email: req.session.email.toLowerCase() }).sort({ createdAt: -1 });
+
+  res.send(`
+    <html>
+      <head>
+        <title>Quotations - Construction Calculator</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <div class="container">
+          <h1>QUOTATIONS</h1>
+          <table class="boq">
+            <thead>
+              <tr><th>Quote No</th><th>Date</th><th>Client</th><th>For</th><th>Total</th></tr>
+            </thead>
+            <tbody>
+              ${quotes.map((quote) => `
+              <tr>
+                <td><a href="/quotes/${quote._id}">${quote.number}</a></td>
+                <td>${quote.createdAt.toDateString()}</td>
+                <td>${escapeHtml(quote.client?.name || "-")}</td>
+                <td>${escapeHtml(quote.title || "-")}</td>
+                <td>${money(quote.boq.total)}</td>
+              </tr>`).join("") || `<tr><td colspan="5">No quotations yet</td></tr>`}
+            </tbody>
+          </table>
+          <a href="/">Go Back</a>
+        </div>
+      </body>
+    </html>
+  `);
+});
+
+// @route   GET /quotes/new?calculation=:id or ?project=:id (&send=1 to email it to the client)
+// @desc    Client details form for a new quotation
+router.get("/new", async (req, res, next) => {
+  const source = await loadSource(req.query, req.session.email);
+  if (!source) return next();
+
+  const client = source.client;
+  const send = req.query.send === "1";
+  const hidden = source.project
+    ? `<input type="hidden" name="project" value="${source.project._id}">`
+    : `<input type="hidden" name="calculation" value="${source.calculation._id}">`;
+
+  res.send(`
+    <html>
+      <head>
+        <title>New Quotation - Construction Calculator</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <h1>NEW QUOTATION</h1>
+        <p>For: ${escapeHtml(source.title)}</p>
+        <form action="/quotes" method="POST">
+          ${hidden}
+          <label for="title">Quotation for</label>
+          <input type="text" name="title" value="${escapeHtml(source.title)}">
+
+          <label for="clientName">Client name</label>
+          <input type="text" name="clientName" value="${escapeHtml(client.name || "")}" required>
+
+          <label for="clientEmail">Client email</label>
+          <input type="text" name="clientEmail" placeholder="client@example.com">
+
+          <label for="clientPhone">Client phone</label>
+          <input type="text" name="clientPhone" placeholder="0712 345678">
+
+          <label for="clientAddress">Client address / site</label>
+          <input type="text" name="clientAddress" value="${escapeHtml(client.address || "")}">
+
+          <label for="validDays">Valid for (days)</label>
+          <input type="number" name="validDays" value="${quoteValidityDays()}" required>
+          ${emailInputs("", send)}
+
+          <input type="submit" value="${send ? "Create and Send" : "Create Quotation"}">
+        </form>
+        <a href="javascript:history.back()">Go Back</a>
+      </body>
+    </html>
+  `);
+});
+
+// @route   POST /quotes
+// @desc    Issue a numbered quotation
+router.post("/", async (req, res, next) => {
+  const source = await loadSource(req.body, req.session.email);
+  if (!source) return next();
+
+  const field = createReader(req.body);
+  const clientName = field.text("clientName");
+  const validDays = field.number("validDays", { positive: true });
+  const recipients = readEmailFields(field, req.body);
+
+  if (field.errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(field.errors, "javascript:history.back()"));
+  }
+
+  const text = (name) => (typeof req.body[name] === "string" ? req.body[name].trim() : "");
+  const quote = await Quote.create({
+    number: await Quote.nextNumber(),
+    email: req.session.email,
+    calculation: source.calculation?._id,
+    project: source.project?._id,
+    title: text("title") || source.title,
+    client: {
+      name: clientName,
+      email: text("clientEmail"),
+      phone: text("clientPhone"),
+      address: text("clientAddress")
+    },
+    validUntil: new Date(Date.now() + validDays * 24 * 60 * 60 * 1000),
+    boq: freezeBoq(source.elements)
+  });
+
+  console.log(`✅ Quotation ${quote.number} issued by ${quote.email}`);
+
+  if (recipients.to.length === 0) return res.redirect(`/quotes/${quote._id}`);
+
+  try {
+    await emailQuote(quote, recipients, req.session.email);
+    res.redirect(`/quotes/${quote._id}?email=sent`);
+  } catch (error) {
+    console.error(`❌ Failed to email quotation ${quote.number}:`, error);
+    res.redirect(`/quotes/${quote._id}?email=failed`);
+  }
+});
+
+// @route   GET /quotes/:id
+// @desc    Show a quotation
+router.get("/:id", async (req, res, next) => {
+  const quote = await Quote.findOwned(req.params.id, req.session.email);
+  if (!quote) return next();
+
+  res.send(`
+    <html>
+      <head>
+        <title>Quotation ${quote.number}</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <div class="container">
+          <h1>QUOTATION ${quote.number}</h1>
+          <p><strong>For:</strong> ${escapeHtml(quote.title || "-")}</p>
+          <p><strong>Client:</strong> ${escapeHtml(quote.client?.name || "-")}</p>
+          <p><strong>Date:</strong> ${quote.createdAt.toDateString()}</p>
+          <p><strong>Valid until:</strong> ${quote.validUntil.toDateString()}</p>
+          ${emailStatus(req.query.email)}
+          <p><a href="/quotes/${quote._id}/pdf" class="btn">⬇️ Download PDF</a></p>
+          ${boqTable(quote.boq)}
+
+          <h2>Send to Client</h2>
+          <form action="/quotes/${quote._id}/send" method="POST">
+            ${emailInputs(quote.client?.email || "", true)}
+            <input type="submit" value="Send">
+          </form>
+          <p>A copy is sent to you at ${escapeHtml(req.session.email)}.</p>
+          ${quote.emails.length > 0 ? `
+          <h3>Sent</h3>
+          <ul>
+            ${quote.emails.map((sent) => `<li>${sent.sentAt.toLocaleString()} to ${escapeHtml(sent.to.join(", "))} (${sent.attachment === "both" ? "PDF + CSV" : sent.attachment.toUpperCase()})</li>`).join("")}
+          </ul>` : ""}
+          <a href="/quotes">All Quotations</a>
+        </div>
+      </body>
+    </html>
+  `);
+});
+
+// @route   GET /quotes/:id/pdf
+// @desc    Download the quotation as a PDF
+router.get("/:id/pdf", async (req, res, next) => {
+  const quote = await Quote.findOwned(req.params.id, req.session.email);
+  if (!quote) return next();
+
+  const pdf = await renderQuotePdf(quote);
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${quote.number}.pdf"`
+  });
+  res.send(pdf);
+});
+
+// @route   POST /quotes/:id/send
+// @desc    Email the quotation to one or more recipients, copying the logged-in user
+router.post("/:id/send", async (req, res, next) => {
+  const quote = await Quote.findOwned(req.params.id, req.session.email);
+  if (!quote) return next();
+
+  const field = createReader(req.body);
+  const recipients = readEmailFields(field, req.body, { required: true });
+
+  if (field.errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(field.errors, `/quotes/${quote._id}`));
+  }
+
+  try {
+    await emailQuote(quote, recipients, req.session.email);
+    res.redirect(`/quotes/${quote._id}?email=sent`);
+  } catch (error) {
+    console.error(`❌ Failed to email quotation ${quote.number}:`, error);
+    res.redirect(`/quotes/${quote._id}?email=failed`);
+  }
+});
+
+module.exports = router;
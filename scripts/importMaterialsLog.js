@@ -0,0 +1,85 @@
+// scripts/importMaterialsLog.js - Import the legacy materials.txt log into the calculation history
+//
+// Usage: node scripts/importMaterialsLog.js [file] [--email fallback@example.com] [--dry-run]
+//
+// Safe to run repeatedly: blocks imported before are skipped.
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Calculation = require("../models/calculation");
+const { parseMaterialsLog } = require("../importers/materialsLog");
+
+function parseArgs(argv) {
+  const options = { file: path.join(__dirname, "..", "materials.txt"), email: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--email") options.email = argv[++i];
+    else if (argv[i] === "--dry-run") options.dryRun = true;
+    else options.file = argv[i];
+  }
+  return options;
+}
+
+async function importMaterialsLog(options) {
+  const { records, failures } = parseMaterialsLog(fs.readFileSync(options.file, "utf8"));
+  const report = { imported: 0, skipped: 0, failures: [...failures] };
+
+  for (const record of records) {
+    const email = record.email || options.email;
+
+    if (!email) {
+      report.failures.push({ line: record.line, reason: "no Email line (pass --email to attribute it)" });
+      continue;
+    }
+    if (await Calculation.exists({ importKey: record.importKey })) {
+      report.skipped++;
+      continue;
+    }
+
+    if (!options.dryRun) {
+      await Calculation.create({
+        email,
+        calculator: record.calculator,
+        label: `Imported from materials.txt (line ${record.line})`,
+        fields: record.fields,
+        input: record.input,
+        result: record.result,
+        constants: record.result.constants,
+        importKey: record.importKey
+      });
+    }
+    report.imported++;
+  }
+
+  return report;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGO_URI || "mongodb://localhost:27017/construction_calc");
+  console.log(`📄 Importing ${options.file}${options.dryRun ? " (dry run)" : ""}`);
+
+  const report = await importMaterialsLog(options);
+
+  console.log(`✅ Imported: ${report.imported}`);
+  console.log(`⏭️ Already imported: ${report.skipped}`);
+  console.log(`❌ Could not import: ${report.failures.length}`);
+  for (const failure of report.failures) {
+    console.log(`  line ${failure.line}: ${failure.reason}`);
+    if (failure.text) console.log(failure.text.replace(/^/gm, "    "));
+  }
+
+  await mongoose.disconnect();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Import failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { importMaterialsLog };
@@ -0,0 +1,94 @@
+// scripts/setGlobalConstants.js - Set the global material constants profile that every user inherits
+//
+// Usage: node scripts/setGlobalConstants.js [--name "Company defaults"] [--cementDensity 1440 ...]
+//        node scripts/setGlobalConstants.js --show
+//        node scripts/setGlobalConstants.js --reset
+//
+// Like the /profiles form, constants left out are removed from the profile and inherit the
+// built-in defaults again. --reset deletes the global profile altogether.
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const MaterialProfile = require("../models/materialProfile");
+const { DEFAULT_CONSTANTS, CONSTANT_FIELDS, createReader } = require("../calculators");
+
+const DEFAULT_NAME = "Global defaults";
+
+function parseArgs(argv) {
+  const options = { action: "set", fields: { name: DEFAULT_NAME } };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--show") options.action = "show";
+    else if (argv[i] === "--reset") options.action = "reset";
+    else if (argv[i].startsWith("--")) options.fields[argv[i].slice(2)] = argv[++i];
+  }
+  return options;
+}
+
+// Validate the profile name and constants the same way the /profiles form does
+function readGlobalProfile(fields) {
+  const field = createReader(fields);
+  const unknown = Object.keys(fields).filter((key) => key !== "name" && !CONSTANT_FIELDS.includes(key));
+  for (const key of unknown) field.fail(key, `is not a constant (use one of ${CONSTANT_FIELDS.join(", ")})`);
+
+  const name = field.text("name");
+  const constants = {};
+  for (const key of CONSTANT_FIELDS) {
+    constants[key] = field.number(key, { positive: true, optional: true });
+  }
+  return { name, constants, errors: field.errors };
+}
+
+// Upsert the global profile; constants not given are unset so they inherit again
+async function setGlobalConstants({ name, constants }) {
+  const update = { $set: { name } };
+
+  for (const key of CONSTANT_FIELDS) {
+    if (constants[key] === undefined) {
+      update.$unset = { ...update.$unset, [key]: "" };
+    } else {
+      update.$set[key] = constants[key];
+    }
+  }
+
+  return MaterialProfile.findOneAndUpdate({ scope: "global" }, update, { upsert: true, new: true });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let profile;
+  if (options.action === "set") {
+    profile = readGlobalProfile(options.fields);
+    if (profile.errors.length > 0) {
+      for (const error of profile.errors) console.error(`❌ ${error.field} ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  await mongoose.connect(process.env.MONGO_URI || "mongodb://localhost:27017/construction_calc");
+
+  if (options.action === "reset") {
+    await MaterialProfile.deleteOne({ scope: "global" });
+    console.log(`✅ Global profile removed: users inherit ${DEFAULT_CONSTANTS.profile}`);
+  } else {
+    if (options.action === "set") {
+      await setGlobalConstants(profile);
+      console.log(`✅ Global profile "${profile.name}" saved`);
+    }
+    const constants = await MaterialProfile.resolveConstants();
+    console.log(`📄 Profile in use: ${constants.profile}`);
+    for (const key of CONSTANT_FIELDS) console.log(`  ${key}: ${constants[key]}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Could not update the global profile:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { readGlobalProfile, setGlobalConstants };
@@ -5,9 +5,10 @@ const express = require("express");
 const mongoose = require("mongoose");
 const session = require("express-session");
 const checkAccess = require("./middleware/accessControl");
+const requireLogin = require("./middleware/requireLogin");
+const { emailTransporter, EMAIL_FROM } = require("./services/mailer");
 const dns = require('dns').promises;
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const axios = require('axios');
 
 const app = express();
@@ -69,38 +70,29 @@ const paymentRoute = require("./routes/payment");
 const excavationRoute = require("./excavation");
 const wallingRoute = require("./walling");
 const concreteRoute = require("./concrete");
+const reinforcementRoute = require("./reinforcement");
+const formworkRoute = require("./formwork");
 const plasterRoute = require("./plaster");
+const apiRoute = require("./routes/api");
+const profilesRoute = require("./routes/profiles");
+const projectsRoute = require("./routes/projects");
+const historyRoute = require("./routes/history");
+const quotesRoute = require("./routes/quotes");
 
 // Use Routes
 app.use("/api/paystack", paystackRoute);
 app.use("/api/pay", paymentRoute);
 app.use("/walling", checkAccess, wallingRoute);
 app.use("/concrete", checkAccess, concreteRoute);
+app.use("/reinforcement", checkAccess, reinforcementRoute);
+app.use("/formwork", checkAccess, formworkRoute);
 app.use("/plaster", checkAccess, plasterRoute);
 app.use("/excavation", checkAccess, excavationRoute);
-
-// Email transporter configuration - FIXED: createTransport not createTransporter
-let emailTransporter;
-if (process.env.EMAIL_USER && process.env.EMAIL_PASSWORD) {
-  emailTransporter = nodemailer.createTransport({
-    service: process.env.EMAIL_SERVICE || 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
-    }
-  });
-  
-  // Verify email configuration
-  emailTransporter.verify(function (error, success) {
-    if (error) {
-      console.error('❌ Email transporter verification failed:', error);
-    } else {
-      console.log('✅ Email transporter is ready to send messages');
-    }
-  });
-} else {
-  console.warn('⚠️ Email transporter not configured - missing credentials');
-}
+app.use("/api/v1", checkAccess, apiRoute);
+app.use("/profiles", requireLogin, profilesRoute);
+app.use("/projects", requireLogin, projectsRoute);
+app.use("/history", requireLogin, historyRoute);
+app.use("/quotes", requireLogin, quotesRoute);
 
 // Store verification codes
 const verificationCodes = new Map();
@@ -278,7 +270,7 @@ async function sendVerificationEmail(email, code) {
 
   try {
     const mailOptions = {
-      from: process.env.EMAIL_FROM || 'Construction Calculator <noreply@construction.com>',
+      from: EMAIL_FROM,
       to: email,
       subject: 'Your Construction Calculator Verification Code',
       html: `
@@ -922,8 +914,14 @@ app.get("/", (req, res) => {
               <li><a href="/excavation">⚒️ Excavation Calculator</a></li>
               <li><a href="/walling">🏗️ Walling Calculator</a></li>
               <li><a href="/concrete">🧱 Concrete Works Calculator</a></li>
+              <li><a href="/reinforcement">🔩 Reinforcement Steel Calculator</a></li>
+              <li><a href="/formwork">🪵 Formwork Calculator</a></li>
               <li><a href="/plaster">🪣 Plaster Works Calculator</a></li>
             </ul>
+            <p><a href="/history">🗂️ My calculations</a></p>
+            <p><a href="/projects">📁 Projects and Bills of Quantities</a></p>
+            <p><a href="/quotes">📄 Quotations</a></p>
+            <p><a href="/profiles">⚙️ Material constants</a></p>
           </div>
 
           <div class="payment-section">
@@ -1212,6 +1210,8 @@ app.use((req, res) => {
               <li><a href="/login">Login</a></li>
               <li><a href="/walling">Walling Calculator</a></li>
               <li><a href="/concrete">Concrete Calculator</a></li>
+              <li><a href="/reinforcement">Reinforcement Calculator</a></li>
+              <li><a href="/formwork">Formwork Calculator</a></li>
               <li><a href="/plaster">Plaster Calculator</a></li>
               <li><a href="/excavation">Excavation Calculator</a></li>
             </ul>
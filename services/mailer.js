@@ -0,0 +1,48 @@
+// services/mailer.js - Shared nodemailer transporter for verification codes and quotations
+const nodemailer = require("nodemailer");
+
+// SMTP_HOST/SMTP_PORT point at any SMTP server (a local stub in development);
+// otherwise EMAIL_SERVICE with EMAIL_USER/EMAIL_PASSWORD, as before
+function createTransporter() {
+  const auth = process.env.EMAIL_USER && process.env.EMAIL_PASSWORD
+    ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+    : undefined;
+
+  if (process.env.SMTP_HOST) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+      auth
+    });
+  }
+
+  if (auth) {
+    return nodemailer.createTransport({
+      service: process.env.EMAIL_SERVICE || "gmail",
+      auth
+    });
+  }
+
+  return null;
+}
+
+const emailTransporter = createTransporter();
+
+if (emailTransporter) {
+  // Verify email configuration
+  emailTransporter.verify(function (error) {
+    if (error) {
+      console.error("❌ Email transporter verification failed:", error);
+    } else {
+      console.log("✅ Email transporter is ready to send messages");
+    }
+  });
+} else {
+  console.warn("⚠️ Email transporter not configured - missing credentials");
+}
+
+const EMAIL_FROM = process.env.EMAIL_FROM || "Construction Calculator <noreply@construction.com>";
+
+module.exports = { emailTransporter, EMAIL_FROM };
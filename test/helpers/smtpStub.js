@@ -0,0 +1,69 @@
+// test/helpers/smtpStub.js - Minimal in-process SMTP server that keeps every message it receives
+const net = require("net");
+
+// Resolves to { port, messages, close } once listening on a free local port.
+// Each message is { from, to: [addresses], data } with data as the raw MIME text.
+function startSmtpStub() {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let message = { to: [] };
+    let inData = false;
+    let data = [];
+
+    socket.write("220 smtp-stub ready\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === ".") {
+            messages.push({ ...message, data: data.join("\r\n") });
+            message = { to: [] };
+            data = [];
+            inData = false;
+            socket.write("250 OK queued\r\n");
+          } else {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") {
+          socket.write("250 smtp-stub\r\n");
+        } else if (command === "MAIL") {
+          message.from = line.replace(/^MAIL FROM:\s*<?([^>\s]*)>?.*$/i, "$1");
+          socket.write("250 OK\r\n");
+        } else if (command === "RCPT") {
+          message.to.push(line.replace(/^RCPT TO:\s*<?([^>\s]*)>?.*$/i, "$1"));
+          socket.write("250 OK\r\n");
+        } else if (command === "DATA") {
+          inData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpStub };
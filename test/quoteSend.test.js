@@ -0,0 +1,114 @@
+// test/quoteSend.test.js - POST /quotes/:id/send against a local SMTP stub
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { startSmtpStub } = require("./helpers/smtpStub");
+
+const USER_EMAIL = "estimator@example.com";
+
+let smtp;
+let server;
+let baseUrl;
+let quote;
+
+before(async () => {
+  // The mailer builds its transporter when first required, so the stub must be listening first
+  smtp = await startSmtpStub();
+  process.env.SMTP_HOST = "127.0.0.1";
+  process.env.SMTP_PORT = String(smtp.port);
+
+  const Quote = require("../models/quote");
+  const { buildBoq, calculateConcrete, readConcreteForm } = require("../calculators");
+  const quotesRoutes = require("../routes/quotes");
+
+  const { input } = readConcreteForm({
+    concreteVolume: "10",
+    concreteGrade: "C25",
+    cement: "Bamburi",
+    cementPrice: "850",
+    sand: "River",
+    sandPrice: "1350",
+    ballast: "Maz",
+    ballastPrice: "2000",
+    laborPrice: "30"
+  });
+  const calculation = { calculator: "concrete", label: "Ground floor slab", result: calculateConcrete(input) };
+
+  quote = new Quote({
+    number: "Q-2026-0001",
+    email: USER_EMAIL,
+    title: "Ground floor slab",
+    client: { name: "Jane Client", email: "client@example.com" },
+    validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    boq: buildBoq([calculation])
+  });
+
+  // No database here: the route finds this quote and saving it is a no-op
+  Quote.findOwned = async (id, email) => (String(quote._id) === id && email === USER_EMAIL ? quote : null);
+  quote.save = async () => quote;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use((req, res, next) => {
+    req.session = { email: USER_EMAIL };
+    next();
+  });
+  app.use("/quotes", quotesRoutes);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  if (smtp) await smtp.close();
+});
+
+test("emails the quotation to every recipient, copies the user and logs the send", async () => {
+  const response = await fetch(`${baseUrl}/quotes/${quote._id}/send`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ recipients: "client@example.com, architect@example.com", attachment: "both" }),
+    redirect: "manual"
+  });
+
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get("location"), `/quotes/${quote._id}?email=sent`);
+
+  // Recipients plus the logged-in user on cc
+  assert.equal(smtp.messages.length, 1);
+  const [message] = smtp.messages;
+  assert.deepEqual([...message.to].sort(), ["architect@example.com", "client@example.com", USER_EMAIL].sort());
+  assert.match(message.data, /^To: client@example.com, architect@example.com$/m);
+  assert.match(message.data, new RegExp(`^Cc: ${USER_EMAIL}$`, "m"));
+
+  // PDF and CSV attachments
+  assert.match(message.data, /filename="?Q-2026-0001\.pdf"?/);
+  assert.match(message.data, /filename="?Q-2026-0001\.csv"?/);
+  assert.match(message.data, /Content-Type: application\/pdf/);
+  assert.match(message.data, /Content-Type: text\/csv/);
+
+  // The send is logged on the quote
+  assert.equal(quote.emails.length, 1);
+  assert.deepEqual([...quote.emails[0].to], ["client@example.com", "architect@example.com"]);
+  assert.equal(quote.emails[0].cc, USER_EMAIL);
+  assert.equal(quote.emails[0].attachment, "both");
+  assert.ok(quote.emails[0].sentAt instanceof Date);
+});
+
+test("rejects a send with no recipients without emailing anyone", async () => {
+  const sent = smtp.messages.length;
+  const response = await fetch(`${baseUrl}/quotes/${quote._id}/send`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ recipients: "", attachment: "pdf" }),
+    redirect: "manual"
+  });
+
+  assert.equal(response.status, 400);
+  assert.match(await response.text(), /recipients/);
+  assert.equal(smtp.messages.length, sent);
+  assert.equal(quote.emails.length, 1);
+});
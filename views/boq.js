@@ -0,0 +1,75 @@
+// views/boq.js - HTML Bill of Quantities tables
+const { escapeHtml } = require("./calculator");
+
+// Amounts with thousands separators, e.g. 1,234,567.5
+function money(amount) {
+  return Number(amount).toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+// Item rows for one calculation result
+function itemRows(result) {
+  return result.items.map((item) => `
+          <tr>
+            <td>${escapeHtml(item.material)}</td>
+            <td>${money(item.quantity)}</td>
+            <td>${item.unit}</td>
+            <td>${money(item.rate)}</td>
+            <td>${money(item.amount)}</td>
+          </tr>`).join("") + `
+          <tr>
+            <td colspan="4">Labor (${result.laborPercent}% of materials)</td>
+            <td>${money(result.labor)}</td>
+          </tr>`;
+}
+
+// Table of one calculation result
+function resultTable(result) {
+  return `
+      <table class="boq">
+        <thead>
+          <tr><th>Description</th><th>Qty</th><th>Unit</th><th>Rate</th><th>Amount</th></tr>
+        </thead>
+        <tbody>${itemRows(result)}
+          <tr class="boq-subtotal">
+            <th colspan="4">Subtotal</th>
+            <th>${money(result.subtotal)}</th>
+          </tr>
+        </tbody>
+      </table>`;
+}
+
+// Full BOQ: one section per trade, with element rows, trade subtotals and a grand total
+// actions(element) may return extra HTML (e.g. a remove button) shown next to each element heading
+function boqTable(boq, actions = () => "") {
+  if (boq.trades.length === 0) {
+    return "<p>No elements yet. Add a calculation to start the Bill of Quantities.</p>";
+  }
+
+  const sections = boq.trades.map((trade) => `
+      <h3>${trade.title}</h3>
+      <table class="boq">
+        <thead>
+          <tr><th>Description</th><th>Qty</th><th>Unit</th><th>Rate</th><th>Amount</th></tr>
+        </thead>
+        <tbody>
+          ${trade.elements.map((element) => `
+          <tr class="boq-element">
+            <th colspan="4">${escapeHtml(element.label || trade.title)}</th>
+            <th>${actions(element)}</th>
+          </tr>${itemRows(element.result)}`).join("")}
+          <tr class="boq-subtotal">
+            <th colspan="4">${trade.title} subtotal</th>
+            <th>${money(trade.subtotal)}</th>
+          </tr>
+        </tbody>
+      </table>`).join("");
+
+  return `${sections}
+      <table class="boq">
+        <tr><th colspan="4">Materials</th><td>${money(boq.materials)}</td></tr>
+        <tr><th colspan="4">Labor</th><td>${money(boq.labor)}</td></tr>
+        <tr class="boq-total"><th colspan="4">Grand total</th><th>${money(boq.total)}</th></tr>
+      </table>`;
+}
+
+module.exports = { money, resultTable, boqTable };
@@ -0,0 +1,140 @@
+// views/calculator.js - Shared HTML pieces for the calculator pages
+
+const { WATER_CEMENT_RATIOS, WATER_PRICE_UNITS } = require("../calculators/water");
+
+// 400 page listing the fields that failed validation
+function invalidFieldsPage(errors, backHref) {
+  return `
+    <html>
+      <head>
+        <title>Invalid input - Construction Calculator</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <div class="error-container">
+          <h1>❌ Please check your input</h1>
+          <div class="error-message">
+            <ul>
+              ${errors.map((error) => `<li><strong>${error.field}</strong> ${error.message}</li>`).join("")}
+            </ul>
+          </div>
+          <a href="${backHref}" class="btn">Go Back</a>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+// Escape user-entered text for HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// value="" attribute for each field of a form re-opened from a saved calculation
+function formValues(calculation) {
+  const fields = (calculation && calculation.fields) || {};
+  return (name) => (fields[name] === undefined ? "" : ` value="${escapeHtml(fields[name])}"`);
+}
+
+// Table of repeatable inputs named like openings[0][width]: the saved rows plus a few blank ones.
+// columns: [{ key, label, placeholder, options: { value: label } or [[value, label]] to keep their order }]
+function rowInputs(calculation, name, columns, blankRows = 3) {
+  const saved = calculation && calculation.fields ? calculation.fields[name] : null;
+  const filled = (Array.isArray(saved) ? saved : Object.values(saved || {}))
+    .filter((row) => row && Object.values(row).some((value) => String(value).trim() !== ""));
+  const rows = [...filled, ...Array(blankRows).fill({})];
+
+  const cell = (column, row, index) => {
+    const inputName = `${name}[${index}][${column.key}]`;
+    const current = row[column.key] === undefined ? "" : String(row[column.key]);
+
+    if (column.options) {
+      return `<select name="${inputName}">
+                <option value=""></option>
+                ${(Array.isArray(column.options) ? column.options : Object.entries(column.options)).map(([value, label]) => `<option value="${value}"${value === current ? " selected" : ""}>${label}</option>`).join("")}
+              </select>`;
+    }
+    const type = column.type || "number";
+    return `<input type="${type}"${type === "number" ? ` step="any"` : ""} name="${inputName}" placeholder="${column.placeholder || ""}" value="${escapeHtml(current)}">`;
+  };
+
+  return `
+        <table class="row-inputs">
+          <thead>
+            <tr>${columns.map((column) => `<th>${column.label}</th>`).join("")}</tr>
+          </thead>
+          <tbody>
+            ${rows.map((row, index) => `
+            <tr>${columns.map((column) => `<td>${cell(column, row, index)}</td>`).join("")}</tr>`).join("")}
+          </tbody>
+        </table>`;
+}
+
+// Water–cement ratio and water price fields; kind is "concrete" or "mortar"
+function waterInputs(calculation, kind) {
+  const value = formValues(calculation);
+  const unit = calculation && calculation.fields ? calculation.fields.waterPriceUnit : "";
+
+  return `
+        <label for="waterCementRatio">Water–cement ratio (blank for ${WATER_CEMENT_RATIOS[kind]})</label>
+        <input type="number" step="any" name="waterCementRatio" placeholder="${WATER_CEMENT_RATIOS[kind]}"${value("waterCementRatio")}>
+
+        <label for="waterPrice">Price of water (blank if not bought in)</label>
+        <input type="number" name="waterPrice" placeholder="500"${value("waterPrice")}>
+
+        <label for="waterPriceUnit">Water priced</label>
+        <select name="waterPriceUnit">
+          ${Object.entries(WATER_PRICE_UNITS).map(([key, label]) => `<option value="${key}"${unit === key ? " selected" : ""}>${label}</option>`).join("")}
+        </select>
+
+        <label for="bowserLitres">Bowser capacity in litres</label>
+        <input type="number" name="bowserLitres" placeholder="10000"${value("bowserLitres")}>
+  `;
+}
+
+// Water requirement line for a result page
+function waterNote(water) {
+  if (!water || !water.litres) return "";
+  return `<p>Water: ${water.litres.toLocaleString("en-US")} litres (mixing ${water.mixing.toLocaleString("en-US")} at w/c ${water.waterCementRatio}${water.curing ? `, curing ${water.curing.toLocaleString("en-US")}` : ""})</p>`;
+}
+
+// Description, project and edited-calculation fields shared by every calculator form
+function recordFields(projectId, calculation) {
+  const project = calculation && calculation.project ? String(calculation.project) : projectId;
+  const label = calculation && calculation.label ? ` value="${escapeHtml(calculation.label)}"` : "";
+
+  return `
+        ${/^[a-f0-9]{24}$/i.test(project || "") ? `<input type="hidden" name="projectId" value="${project}">` : ""}
+        ${calculation ? `<input type="hidden" name="calculationId" value="${calculation._id}">` : ""}
+        <label for="label">Description (optional)</label>
+        <input type="text" name="label" placeholder="e.g. Ground floor external walls"${label}>
+  `;
+}
+
+// Where a calculation was saved: the user's history and, if any, a project
+function savedNote(calculation, project) {
+  if (!calculation) return "";
+  return `
+      <p>Saved to <a href="/history/${calculation._id}">your calculation history</a>${project ? ` and project <a href="/projects/${project._id}">${escapeHtml(project.name)}</a>` : ""}</p>
+      <p>
+        <a href="/quotes/new?calculation=${calculation._id}">📄 Create quotation (PDF)</a> |
+        <a href="/quotes/new?calculation=${calculation._id}&send=1">✉️ Send to client</a> |
+        <a href="/history/${calculation._id}/export.csv">⬇️ CSV</a> |
+        <a href="/history/${calculation._id}/export.xlsx">⬇️ Excel</a>
+      </p>`;
+}
+
+module.exports = {
+  invalidFieldsPage,
+  escapeHtml,
+  formValues,
+  rowInputs,
+  waterInputs,
+  waterNote,
+  recordFields,
+  savedNote
+};
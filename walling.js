@@ -1,8 +1,24 @@
 const express = require("express");
-const fs = require("fs");
+const { OPENING_TYPES, BOND_PATTERNS, MASONRY_UNITS, calculateWalling, readWallingForm, describeResult } = require("./calculators");
+const {
+  invalidFieldsPage,
+  escapeHtml,
+  formValues,
+  rowInputs,
+  waterInputs,
+  waterNote,
+  recordFields,
+  savedNote
+} = require("./views/calculator");
+const MaterialProfile = require("./models/materialProfile");
+const Project = require("./models/project");
+const Calculation = require("./models/calculation");
 const router = express.Router();
 
-router.get("/", (req, res) => {
+router.get("/", async (req, res) => {
+  const saved = await Calculation.findOwned(req.query.edit, req.session.email, "walling");
+  const value = formValues(saved);
+
   res.send(`
     <html>
     <head>
@@ -11,33 +27,112 @@ router.get("/", (req, res) => {
     <body>
       <h1>WALLING</h1>
       <form action="/walling/submit" method="POST">
-        <label for="wallArea">Area in m²</label>
-        <input type="number" name="wallArea" placeholder="Area in m²" required>
+        <label>Wall runs in m (block size and price default to the ones below)</label>
+        ${rowInputs(saved, "runs", [
+          { key: "length", label: "Length", placeholder: "12.5" },
+          { key: "height", label: "Height", placeholder: "3" },
+          { key: "blockSize", label: "Block size", type: "text", placeholder: "360x180x180" },
+          { key: "blockPrice", label: "Block price", placeholder: "75" },
+          { key: "count", label: "Count", placeholder: "1" }
+        ])}
+
+        <label for="wallArea">Or total area in m²</label>
+        <input type="number" name="wallArea" placeholder="Area in m²"${value("wallArea")}>
+
+        <label for="wallLength">Wall length in m for that area (needed for hoop iron, brick-force and DPC)</label>
+        <input type="number" name="wallLength" placeholder="40"${value("wallLength")}>
+
+        <label>Openings to deduct (doors, windows, vents) in m</label>
+        ${rowInputs(saved, "openings", [
+          { key: "type", label: "Type", options: OPENING_TYPES },
+          { key: "width", label: "Width", placeholder: "0.9" },
+          { key: "height", label: "Height", placeholder: "2.1" },
+          { key: "count", label: "Count", placeholder: "1" },
+          { key: "run", label: "Run no.", placeholder: "1" }
+        ])}
+
+        <label for="unitType">Walling unit</label>
+        <select name="unitType">
+          ${Object.entries(MASONRY_UNITS).map(([type, unit]) => `<option value="${type}"${saved?.fields?.unitType === type ? " selected" : ""}>${unit.label} (${unit.size}${unit.mortar ? "" : ", no mortar"})</option>`).join("")}
+        </select>
+
+        <label for="blockSize">Size of building block in mm (blank for the unit's standard size)</label>
+        <input type="text" name="blockSize" placeholder="360x180x180"${value("blockSize")}>
+
+        <label for="blockPrice">Price of block per piece (blank if every wall run has its own price)</label>
+        <input type="number" name="blockPrice" placeholder="75"${value("blockPrice")}>
+
+        <label for="jointThickness">Mortar joint thickness in mm</label>
+        <input type="number" name="jointThickness" placeholder="20"${value("jointThickness")}>
+
+        <label for="bond">Bond pattern</label>
+        <select name="bond">
+          ${Object.entries(BOND_PATTERNS).map(([bond, pattern]) => `<option value="${bond}"${saved?.fields?.bond === bond ? " selected" : ""}>${pattern.label} bond</option>`).join("")}
+        </select>
+
+        <label>
+          <input type="checkbox" name="coreFill" style="width:auto"${saved?.fields?.coreFill ? " checked" : ""}>
+          Fill hollow cores with concrete
+        </label>
+
+        <label for="coreFillPrice">Price of core-fill concrete per m³</label>
+        <input type="number" name="coreFillPrice" placeholder="12000"${value("coreFillPrice")}>
+
+        <label for="voidRatio">Void ratio in % (blank for the unit's standard)</label>
+        <input type="number" name="voidRatio" placeholder="45"${value("voidRatio")}>
 
-        <label for="blockSize">Size of building block in mm</label>
-        <input type="text" name="blockSize" placeholder="360x180x180" required>
+        <h3>Hoop iron, brick-force wire and DPC (leave blank to skip)</h3>
+        <label for="hoopIronEvery">Hoop iron every how many courses</label>
+        <input type="number" name="hoopIronEvery" placeholder="2"${value("hoopIronEvery")}>
 
-        <label for="blockPrice">Price of block per piece</label>
-        <input type="number" name="blockPrice" placeholder="75" required>
+        <label for="hoopIronStrands">Hoop iron strands per course</label>
+        <input type="number" name="hoopIronStrands" placeholder="1"${value("hoopIronStrands")}>
 
+        <label for="hoopIronRollLength">Hoop iron roll length in m</label>
+        <input type="number" name="hoopIronRollLength" placeholder="100"${value("hoopIronRollLength")}>
+
+        <label for="hoopIronPrice">Price of hoop iron per roll</label>
+        <input type="number" name="hoopIronPrice" placeholder="2500"${value("hoopIronPrice")}>
+
+        <label for="brickForceEvery">Brick-force wire every how many courses</label>
+        <input type="number" name="brickForceEvery" placeholder="4"${value("brickForceEvery")}>
+
+        <label for="brickForceStrands">Brick-force wire strands per course</label>
+        <input type="number" name="brickForceStrands" placeholder="1"${value("brickForceStrands")}>
+
+        <label for="brickForceRollLength">Brick-force wire roll length in m</label>
+        <input type="number" name="brickForceRollLength" placeholder="20"${value("brickForceRollLength")}>
+
+        <label for="brickForcePrice">Price of brick-force wire per roll</label>
+        <input type="number" name="brickForcePrice" placeholder="900"${value("brickForcePrice")}>
+
+        <label for="dpcRollLength">DPC roll length in m</label>
+        <input type="number" name="dpcRollLength" placeholder="30"${value("dpcRollLength")}>
+
+        <label for="dpcPrice">Price of DPC per roll</label>
+        <input type="number" name="dpcPrice" placeholder="1800"${value("dpcPrice")}>
+
+        <h3>Mortar (not needed for interlocking blocks)</h3>
         <label for="mortaRatio">Mortar ratio</label>
-        <input type="text" name="mortaRatio" placeholder="1:3" required>
+        <input type="text" name="mortaRatio" placeholder="1:3"${value("mortaRatio")}>
 
         <label for="cement">Cement description</label>
-        <input type="text" name="cement" placeholder="Bamburi Cement" required>
+        <input type="text" name="cement" placeholder="Bamburi Cement"${value("cement")}>
 
         <label for="cementPrice">Price of cement per bag</label>
-        <input type="number" name="cementPrice" placeholder="850" required>
+        <input type="number" name="cementPrice" placeholder="850"${value("cementPrice")}>
 
         <label for="sand">Sand description</label>
-        <input type="text" name="sand" placeholder="River Sand" required>
+        <input type="text" name="sand" placeholder="River Sand"${value("sand")}>
 
         <label for="sandPrice">Price of sand per ton</label>
-        <input type="number" name="sandPrice" placeholder="1350" required>
+        <input type="number" name="sandPrice" placeholder="1350"${value("sandPrice")}>
+        ${waterInputs(saved, "mortar")}
 
         <label for="laborPrice">Labor percentage of materials</label>
-        <input type="number" name="laborPrice" placeholder="40" required>
+        <input type="number" name="laborPrice" placeholder="40"${value("laborPrice")} required>
 
+        ${recordFields(req.query.project, saved)}
         <input type="submit" value="Calculate">
       </form>
     </body>
@@ -45,86 +140,31 @@ router.get("/", (req, res) => {
   `);
 });
 
-router.post("/submit", (req, res) => {
-  const {
-    wallArea,
-    blockSize,
-    blockPrice,
-    mortaRatio,
-    cement,
-    cementPrice,
-    sand,
-    sandPrice,
-    laborPrice
-  } = req.body;
-
-  let area = parseFloat(wallArea);
-  let bloprice = parseFloat(blockPrice);
-  let blosize = blockSize.toLowerCase();
-  let blodims = blosize.split("x");
-
-  let blockLength = parseFloat(blodims[0]) / 1000;
-  let blockThickness = parseFloat(blodims[1]) / 1000;
-  let blockHeight = parseFloat(blodims[2]) / 1000;
-
-  let length = blockLength + 0.02;
-  let height = blockHeight + 0.02;
-  let blockArea = length * height;
-
-  let bloQty = Math.ceil(area / blockArea);
-  let bloCost = bloQty * bloprice;
-
-  let blocksVolume = bloQty * blockLength * blockThickness * blockHeight;
-  let wallVolume = area * blockThickness;
-  let volume = wallVolume - blocksVolume;
-
-  let cemPrice = parseFloat(cementPrice);
-  let sanPrice = parseFloat(sandPrice);
-  let labor = parseFloat(laborPrice);
-
-  let dryVol = volume * 1.33;
-  let ratios = mortaRatio.split(":");
-  let cemPro = parseFloat(ratios[0]);
-  let sanPro = parseFloat(ratios[1]);
-  let comSum = cemPro + sanPro;
-
-  let cemVol = (cemPro * dryVol) / comSum;
-  let sanVol = (sanPro * dryVol) / comSum;
-
-  let cemWeight = cemVol * 1448;
-  let sanWeight = sanVol * 1600;
-
-  let cemQty = Math.ceil(cemWeight / 50);
-  let sanQty = Math.ceil(sanWeight / 1000);
-
-  let cemCost = cemPrice * cemQty;
-  let sanCost = sanPrice * sanQty;
-
-  let conMatCost = cemCost + sanCost + bloCost;
-  let labCost = (labor * conMatCost) / 100;
-  let conCost = conMatCost + labCost;
-
-  let blodes = `${blockSize} blocks ... ${bloQty} pcs ... ${bloprice} ... ${bloCost}`;
-  let cemdes = `${cement.toLowerCase()} ... ${cemQty} bags ... ${cemPrice} ... ${cemCost}`;
-  let sandes = `${sand.toLowerCase()} ... ${sanQty} tons ... ${sanPrice} ... ${sanCost}`;
-  let matdes = `materials ... ${conMatCost}`;
-  let labdes = `labor ... ${labCost}`;
-  let condes = `subtotal ... ${conCost}`;
-
-  let dataToSave = `Area: ${wallArea} m²
-Ratio: ${mortaRatio}
-Materials:
-${blodes}
-${cemdes}
-${sandes}
-${matdes}
-${labdes}
-${condes}\n\n`;
-
-  fs.appendFile("materials.txt", dataToSave, (err) => {
-    if (err) console.error("Error writing to file:", err);
-    else console.log("Walling data saved to materials.txt");
+router.post("/submit", async (req, res) => {
+  const { input, errors } = readWallingForm(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).send(invalidFieldsPage(errors, "/walling"));
+  }
+
+  const project = await Project.findOwned(req.body.projectId, req.session.email);
+  const result = calculateWalling({
+    ...input,
+    cement: input.cement?.toLowerCase(),
+    sand: input.sand?.toLowerCase()
+  }, await MaterialProfile.resolveConstants(req.session.email, project?._id));
+
+  const calculation = await Calculation.record({
+    email: req.session.email,
+    body: req.body,
+    project,
+    calculator: "walling",
+    input,
+    result
   });
+
+  let lines = describeResult(result);
+
   res.send(`
     <html>
     <head>
@@ -132,18 +172,48 @@ ${condes}\n\n`;
     </head>
     <body>
       <h1>WALLING DATA</h1>
-      <p>Area: ${wallArea} m²</p>
-      <p>Ratio: ${mortaRatio}</p>
+      <p>Gross area: ${result.area} m²</p>
+      ${result.openings.length > 0 ? `
+      <p>Openings:</p>
+      <ul>
+        ${result.openings.map((opening) => `<li>${OPENING_TYPES[opening.type]} ${opening.width} x ${opening.height} m x ${opening.count}${opening.run ? ` (run ${opening.run})` : ""} ... ${opening.area} m²</li>`).join("")}
+      </ul>` : ""}
+      <p>Deductions: ${result.deductions} m²</p>
+      <p>Net area: ${result.netArea} m²</p>
+      ${result.runs.length > 1 || result.runs[0].length ? `
+      <table class="boq">
+        <thead>
+          <tr><th>Run</th><th>Size (m)</th><th>Block</th><th>Courses</th><th>Area m²</th><th>Openings m²</th><th>Net m²</th><th>Blocks</th><th>Mortar m³</th><th>Core fill m³</th></tr>
+        </thead>
+        <tbody>
+          ${result.runs.map((run) => `
+          <tr>
+            <td>${run.label}</td>
+            <td>${run.length ? `${run.length} x ${run.height} x ${run.count}` : "-"}</td>
+            <td>${escapeHtml(run.blockSize)}</td>
+            <td>${run.courses}</td>
+            <td>${run.area}</td>
+            <td>${run.deductions}</td>
+            <td>${run.netArea}</td>
+            <td>${run.blocks}</td>
+            <td>${run.mortarVolume}</td>
+            <td>${run.coreFillVolume}</td>
+          </tr>`).join("")}
+        </tbody>
+      </table>` : ""}
+      <p>Unit: ${MASONRY_UNITS[result.unitType].label}</p>
+      <p>Bond: ${BOND_PATTERNS[result.bond].label}, ${result.jointThickness ? `${result.jointThickness} mm joints` : "dry-stacked, no mortar"}</p>
+      ${result.ratio ? `<p>Ratio: ${result.ratio}</p>` : ""}
+      ${waterNote(result.water)}
+      ${result.coreFillVolume ? `<p>Core fill: ${result.coreFillVolume} m³</p>` : ""}
+      ${result.accessories.map((accessory) => `<p>${accessory.material}: ${accessory.length} m</p>`).join("")}
+      <p>Constants profile: ${escapeHtml(result.constants.profile)}</p>
       <h2>Materials</h2>
       <ul>
-        <li>${blodes}</li>
-        <li>${cemdes}</li>
-        <li>${sandes}</li>
-        <li>${matdes}</li>
-        <li>${labdes}</li>
-        <li>${condes}</li>
+        ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}
       </ul>
-      <p>Walling data saved in materials.txt</p>
+      ${savedNote(calculation, project)}
+      ${calculation ? `<p><a href="/plaster?walling=${calculation._id}">🪣 Plaster these walls</a></p>` : ""}
       <a href="/walling">Go Back</a>
     </body>
     </html>